@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+// User accounts in MongoDB. Passwords are stored as `salt:hash` with scrypt.
+// Usernames are case-insensitive and double as the user's id in session
+// tokens, provenance and pixel updates.
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const KEY_LENGTH = 64;
+
+// Raised for anything the user can fix, with a message safe to show them
+export class AccountError extends Error {}
+
+async function hashPassword(password, salt) {
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return hash.toString('hex');
+}
+
+export class AccountStore {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  async ensureIndexes() {
+    await this.collection.createIndex({ username: 1 }, { unique: true });
+  }
+
+  validate(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new AccountError('Usernames are 3-20 letters, digits, _ or -');
+    }
+    if (typeof password !== 'string' ||
+        password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      throw new AccountError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  async register(username, password) {
+    this.validate(username, password);
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const user = {
+      username: username.toLowerCase(),
+      passwordHash: `${salt}:${await hashPassword(password, salt)}`,
+      createdAt: new Date()
+    };
+
+    try {
+      await this.collection.insertOne(user);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AccountError('Username is already taken');
+      }
+      throw error;
+    }
+
+    return { username: user.username };
+  }
+
+  // Returns the user, or null if the username or password is wrong
+  async authenticate(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string' ||
+        password.length > MAX_PASSWORD_LENGTH) {
+      return null;
+    }
+
+    const user = await this.collection.findOne({ username: username.toLowerCase() });
+    if (!user) return null;
+
+    const [salt, expected] = user.passwordHash.split(':');
+    const actual = await hashPassword(password, salt);
+    if (!crypto.timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex'))) {
+      return null;
+    }
+
+    return { username: user.username };
+  }
+}
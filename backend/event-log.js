@@ -0,0 +1,142 @@
+// Append-only log of every accepted pixel write.
+//
+// Writes land in a Redis stream first (cheap, ordered) and are periodically
+// moved into MongoDB for long-term storage. Replays read the archived part
+// from MongoDB and whatever hasn't been archived yet from the stream.
+
+const STREAM_KEY = 'canvas:events';
+const ARCHIVED_KEY = 'canvas:events:archived'; // Last stream id copied to MongoDB
+
+// Safety net if archiving stalls: the stream never grows past this
+const STREAM_MAX_LENGTH = 1000000;
+const ARCHIVE_BATCH_SIZE = 1000;
+const REPLAY_PAGE_SIZE = 1000;
+
+// Stream ids look like `<ms>-<seq>`
+function parseStreamId(id) {
+  const [timestamp, seq] = id.split('-').map(Number);
+  return { timestamp, seq };
+}
+
+function isAfter(a, b) {
+  return a.timestamp > b.timestamp || (a.timestamp === b.timestamp && a.seq > b.seq);
+}
+
+function entryToEvent([id, fields]) {
+  const values = {};
+  for (let i = 0; i < fields.length; i += 2) {
+    values[fields[i]] = fields[i + 1];
+  }
+
+  return {
+    _id: id,
+    ...parseStreamId(id),
+    x: Number(values.x),
+    y: Number(values.y),
+    color: values.color,
+    placedBy: values.placedBy,
+    user: values.user || null,
+    fromImage: values.fromImage === '1'
+  };
+}
+
+export class EventLog {
+  constructor(redis, collection) {
+    this.redis = redis;
+    this.collection = collection;
+  }
+
+  async ensureIndexes() {
+    await this.collection.createIndex({ timestamp: 1, seq: 1 });
+  }
+
+  async append(updates) {
+    if (updates.length === 0) return;
+
+    const pipeline = this.redis.pipeline();
+    for (const update of updates) {
+      pipeline.xadd(
+        STREAM_KEY,
+        'MAXLEN', '~', STREAM_MAX_LENGTH,
+        '*',
+        'x', update.x,
+        'y', update.y,
+        'color', update.color,
+        'placedBy', update.clientId,
+        'user', update.user || '',
+        'fromImage', update.fromImage ? '1' : '0'
+      );
+    }
+    await pipeline.exec();
+  }
+
+  // Copy everything new in the stream to MongoDB, then trim what was copied
+  async archive() {
+    let lastId = (await this.redis.get(ARCHIVED_KEY)) || '0-0';
+    let archived = 0;
+
+    for (;;) {
+      const entries = await this.redis.xrange(STREAM_KEY, `(${lastId}`, '+', 'COUNT', ARCHIVE_BATCH_SIZE);
+      if (entries.length === 0) break;
+
+      try {
+        await this.collection.insertMany(entries.map(entryToEvent), { ordered: false });
+      } catch (error) {
+        // Another instance may have archived some of these already
+        if (error.code !== 11000) throw error;
+      }
+
+      lastId = entries[entries.length - 1][0];
+      archived += entries.length;
+      await this.redis.set(ARCHIVED_KEY, lastId);
+      await this.redis.xtrim(STREAM_KEY, 'MINID', lastId);
+    }
+
+    return archived;
+  }
+
+  // Yields pages of events placed between two timestamps (ms, inclusive),
+  // oldest first
+  async *replay(from, to) {
+    let last = { timestamp: -1, seq: -1 };
+    let page = [];
+
+    const cursor = this.collection
+      .find({ timestamp: { $gte: from, $lte: to } })
+      .sort({ timestamp: 1, seq: 1 });
+
+    for await (const event of cursor) {
+      page.push(event);
+      last = event;
+      if (page.length === REPLAY_PAGE_SIZE) {
+        yield page;
+        page = [];
+      }
+    }
+
+    // Then whatever hasn't been archived yet
+    let start = String(from);
+    for (;;) {
+      const entries = await this.redis.xrange(STREAM_KEY, start, to, 'COUNT', REPLAY_PAGE_SIZE);
+      if (entries.length === 0) break;
+
+      for (const entry of entries) {
+        const event = entryToEvent(entry);
+        if (isAfter(event, last)) {
+          page.push(event);
+          last = event;
+        }
+      }
+      start = `(${entries[entries.length - 1][0]}`;
+
+      if (page.length >= REPLAY_PAGE_SIZE) {
+        yield page;
+        page = [];
+      }
+    }
+
+    if (page.length > 0) {
+      yield page;
+    }
+  }
+}
@@ -0,0 +1,98 @@
+// Helpers for plain HTTP routes on the uWS app.
+//
+// uWS requires a response to be either finished synchronously or guarded
+// against the client aborting, and the request object is only valid until
+// the handler first yields. Handlers wrapped with asyncRoute must therefore
+// read everything they need from `req`, and start reading the body, before
+// their first await.
+
+// Thrown from a route to answer with a given status and message
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export function asyncRoute(handler) {
+  return (res, req) => {
+    res.aborted = false;
+    res.onAborted(() => {
+      res.aborted = true;
+    });
+
+    // Async handlers run synchronously up to their first await
+    handler(res, req).catch((error) => {
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: error.message });
+        return;
+      }
+      console.error('Error handling HTTP request:', error);
+      sendJson(res, '500 Internal Server Error', { error: 'Server error' });
+    });
+  };
+}
+
+export function send(res, status, headers, body) {
+  if (res.aborted) return;
+
+  res.cork(() => {
+    res.writeStatus(status);
+    res.writeHeader('Access-Control-Allow-Origin', '*');
+    for (const [name, value] of Object.entries(headers)) {
+      res.writeHeader(name, String(value));
+    }
+    res.end(body);
+  });
+}
+
+export function sendJson(res, status, data, headers = {}) {
+  send(res, status, { 'Content-Type': 'application/json', ...headers }, JSON.stringify(data));
+}
+
+export function parseQuery(req) {
+  return new URLSearchParams(req.getQuery() || '');
+}
+
+// Collect and parse a JSON object request body. Must be called before the
+// handler's first await.
+export function readJson(res, maxBytes = 16 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    res.onData((chunk, isLast) => {
+      size += chunk.byteLength;
+      if (size > maxBytes) {
+        reject(new HttpError('413 Payload Too Large', 'Request body too large'));
+        return;
+      }
+
+      // uWS reuses the chunk's memory once this callback returns
+      chunks.push(Buffer.from(chunk.slice(0)));
+      if (!isLast) return;
+
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString());
+      } catch {
+        body = null;
+      }
+      
+      if (body && typeof body === 'object') {
+        resolve(body);
+      } else {
+        reject(new HttpError('400 Bad Request', 'Expected a JSON object'));
+      }
+    });
+  });
+}
+
+// Whether an If-None-Match header lists the given ETag
+export function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  return ifNoneMatch.split(',').some((tag) => {
+    const trimmed = tag.trim();
+    return trimmed === '*' || trimmed.replace(/^W\//, '') === etag;
+  });
+}
@@ -0,0 +1,47 @@
+import { verifySessionToken } from './session-token.js';
+
+// Works out who is on the other end of a connection. In order of preference:
+//
+//   - the subject of a valid session token
+//   - the client address from X-Forwarded-For, when the connection comes
+//     from one of our trusted proxies
+//   - the socket's own address
+//
+// The resulting `userKey` is what rate limits, image jobs and uploads are
+// keyed on, so it stays the same across reconnects.
+
+// IPv4 clients on a dual-stack socket show up as IPv4-mapped IPv6 addresses
+function normalizeAddress(address) {
+  const trimmed = address.trim().toLowerCase();
+  return trimmed.startsWith('::ffff:') && trimmed.includes('.') ? trimmed.slice('::ffff:'.length) : trimmed;
+}
+
+export function parseTrustedProxies(value) {
+  return new Set((value || '').split(',').map(normalizeAddress).filter(Boolean));
+}
+
+// The nearest address in the forwarding chain that isn't one of our proxies.
+// Anything further left was written by the client and can't be trusted.
+export function resolveClientAddress(remoteAddress, forwardedFor, trustedProxies) {
+  let address = normalizeAddress(remoteAddress);
+  if (!forwardedFor) return address;
+
+  const hops = forwardedFor.split(',').map(normalizeAddress).filter(Boolean);
+  while (trustedProxies.has(address) && hops.length > 0) {
+    address = hops.pop();
+  }
+  return address;
+}
+
+export function resolveIdentity({ remoteAddress, forwardedFor, token }, { trustedProxies, sessionSecret }) {
+  const address = resolveClientAddress(remoteAddress, forwardedFor, trustedProxies);
+  const userId = token ? verifySessionToken(token, sessionSecret) : null;
+
+  return {
+    userKey: userId ? `user:${userId}` : `ip:${address}`,
+    userId,
+    address,
+    // A token was sent but didn't check out
+    invalidToken: Boolean(token) && !userId
+  };
+}
@@ -0,0 +1,302 @@
+import crypto from 'crypto';
+
+// Image drawing jobs, kept in Redis so they survive restarts and can be
+// drawn by any server.
+//
+// A job is a hash under `image_job:<id>` holding who placed it and how far it
+// got. `cursor` counts the pixels dealt with so far; `skipped` counts those
+// among them that were never placed, mostly because they already had the
+// right color. The pixels themselves live under `image_job:<id>:pixels`, 7
+// bytes each: x and y (u16, absolute canvas coordinates) and r, g, b. Every
+// unfinished job is in the `image_jobs` sorted set, oldest first, and each
+// owner (a client's userKey) has at most one, under `image_job_owner:<owner>`.
+//
+// A job is `active` or `paused` by its owner (its `status`); paused jobs keep
+// their place in the queue and their lease but draw nothing.
+//
+// A server draws a job while it holds the job's lease, a key it keeps
+// renewing. If the server dies the lease runs out and another server (or the
+// same one, restarted) claims the job and carries on from its cursor.
+
+const QUEUE_KEY = 'image_jobs';
+export const IMAGE_JOB_EVENTS_CHANNEL = 'image_jobs:events';
+
+export const BYTES_PER_PIXEL = 7;
+
+// How far into the queue a claim looks for unleased jobs. Jobs further back
+// wait until some ahead of them are done.
+const CLAIM_SCAN_SIZE = 1000;
+
+function jobKey(id) {
+  return `image_job:${id}`;
+}
+
+function pixelsKey(id) {
+  return `image_job:${id}:pixels`;
+}
+
+function leaseKey(id) {
+  return `image_job:${id}:lease`;
+}
+
+function ownerKey(owner) {
+  return `image_job_owner:${owner}`;
+}
+
+// Pack { x, y, color } pixels the way jobs store them
+export function encodePixels(pixels) {
+  const buffer = Buffer.alloc(pixels.length * BYTES_PER_PIXEL);
+  pixels.forEach(({ x, y, color }, i) => {
+    const offset = i * BYTES_PER_PIXEL;
+    buffer.writeUInt16BE(x, offset);
+    buffer.writeUInt16BE(y, offset + 2);
+    buffer.write(color.slice(1), offset + 4, 3, 'hex');
+  });
+  return buffer;
+}
+
+// Decode pixels [start, end) of a job
+export function decodePixels(buffer, start, end) {
+  const pixels = [];
+  for (let i = start; i < end; i++) {
+    const offset = i * BYTES_PER_PIXEL;
+    pixels.push({
+      x: buffer.readUInt16BE(offset),
+      y: buffer.readUInt16BE(offset + 2),
+      color: `#${buffer.toString('hex', offset + 4, offset + 7)}`
+    });
+  }
+  return pixels;
+}
+
+function parseJob(hash) {
+  if (!hash || !hash.id) return null;
+
+  return {
+    id: hash.id,
+    owner: hash.owner,
+    user: hash.user || null,
+    tier: hash.tier,
+    clientId: hash.clientId,
+    order: hash.order || 'row',
+    totalPixels: Number(hash.totalPixels),
+    cursor: Number(hash.cursor),
+    skipped: Number(hash.skipped) || 0,
+    status: hash.status || 'active',
+    createdAt: Number(hash.createdAt)
+  };
+}
+
+// What clients are told about a job
+export function describeJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    order: job.order,
+    totalPixels: job.totalPixels,
+    pixelsPlaced: job.cursor - job.skipped,
+    pixelsSkipped: job.skipped,
+    createdAt: job.createdAt
+  };
+}
+
+export class ImageJobQueue {
+  constructor(redis, workerId, leaseMs) {
+    this.redis = redis;
+    this.workerId = workerId;
+    this.leaseMs = leaseMs;
+
+    // Lua script storing a job unless its owner already has one. KEYS are
+    // the owner, job, pixels and queue keys; ARGV the job id, pixels,
+    // creation time and then the job's fields and values.
+    this.enqueueScript = `
+      if redis.call('EXISTS', KEYS[1]) == 1 then
+        return 0
+      end
+      redis.call('SET', KEYS[1], ARGV[1])
+      redis.call('SET', KEYS[3], ARGV[2])
+      redis.call('HSET', KEYS[2], unpack(ARGV, 4))
+      redis.call('ZADD', KEYS[4], ARGV[3], ARGV[1])
+      return 1
+    `;
+
+    // Lua script taking the leases on up to ARGV[1] unleased jobs among the
+    // first ARGV[2] in the queue (KEYS[1]), oldest first. ARGV[3] is the
+    // worker id and ARGV[4] the lease length (ms). The lease keys are built
+    // here, the way leaseKey() does. Returns the claimed ids.
+    this.claimScript = `
+      local limit = tonumber(ARGV[1])
+      local claimed = {}
+      for _, id in ipairs(redis.call('ZRANGE', KEYS[1], 0, tonumber(ARGV[2]) - 1)) do
+        if redis.call('SET', 'image_job:' .. id .. ':lease', ARGV[3], 'PX', ARGV[4], 'NX') then
+          claimed[#claimed + 1] = id
+          if #claimed >= limit then
+            break
+          end
+        end
+      end
+      return claimed
+    `;
+
+    // Lua script dropping a job. KEYS are the queue, job, pixels, lease and
+    // owner keys; ARGV[1] the job id. The owner key is left alone if it has
+    // moved on to another job.
+    this.removeScript = `
+      redis.call('ZREM', KEYS[1], ARGV[1])
+      redis.call('DEL', KEYS[2], KEYS[3], KEYS[4])
+      if redis.call('GET', KEYS[5]) == ARGV[1] then
+        redis.call('DEL', KEYS[5])
+      end
+      return 1
+    `;
+
+    // Lua script setting a job's status, as long as the job still exists and
+    // belongs to ARGV[1]. Returns 1 if it did.
+    this.setStatusScript = `
+      if redis.call('HGET', KEYS[1], 'owner') ~= ARGV[1] then
+        return 0
+      end
+      redis.call('HSET', KEYS[1], 'status', ARGV[2])
+      return 1
+    `;
+
+    // Lua script moving a job's cursor, unless it was cancelled meanwhile
+    this.setCursorScript = `
+      if redis.call('EXISTS', KEYS[1]) == 1 then
+        redis.call('HSET', KEYS[1], 'cursor', ARGV[1], 'skipped', ARGV[2])
+      end
+      return 1
+    `;
+
+    // Lua script extending a lease, or dropping it with ARGV[3] = 'release',
+    // but only while we hold it. Returns 1 if we did.
+    this.leaseScript = `
+      if redis.call('GET', KEYS[1]) ~= ARGV[1] then
+        return 0
+      end
+      if ARGV[3] == 'release' then
+        redis.call('DEL', KEYS[1])
+      else
+        redis.call('PEXPIRE', KEYS[1], ARGV[2])
+      end
+      return 1
+    `;
+  }
+
+  // Store a new job. `pixels` are { x, y, color } in canvas coordinates, in
+  // the order they are to be drawn (`order` is kept for reference).
+  // Returns the job, or null if the owner already has one.
+  async enqueue({ owner, user, tier, clientId, order, pixels }) {
+    const id = crypto.randomUUID();
+    const job = {
+      id,
+      owner,
+      user: user || '',
+      tier,
+      clientId,
+      order,
+      totalPixels: pixels.length,
+      cursor: 0,
+      skipped: 0,
+      status: 'active',
+      createdAt: Date.now()
+    };
+
+    const stored = await this.redis.eval(
+      this.enqueueScript,
+      4,
+      ownerKey(owner),
+      jobKey(id),
+      pixelsKey(id),
+      QUEUE_KEY,
+      id,
+      encodePixels(pixels),
+      job.createdAt,
+      ...Object.entries(job).flat()
+    );
+
+    return stored === 1 ? parseJob(job) : null;
+  }
+
+  async getJob(id) {
+    return parseJob(await this.redis.hgetall(jobKey(id)));
+  }
+
+  async getPixels(id) {
+    return this.redis.getBuffer(pixelsKey(id));
+  }
+
+  // The owner's unfinished job, if any
+  async getOwnerJob(owner) {
+    const id = await this.redis.get(ownerKey(owner));
+    return id ? this.getJob(id) : null;
+  }
+
+  // All of the owner's unfinished jobs. There is at most one for now.
+  async listOwnerJobs(owner) {
+    const job = await this.getOwnerJob(owner);
+    return job ? [job] : [];
+  }
+
+  // null once the job is finished or cancelled
+  async getStatus(id) {
+    const [exists, status] = await this.redis.hmget(jobKey(id), 'id', 'status');
+    return exists ? status || 'active' : null;
+  }
+
+  // Pause or resume a job of `owner`'s. Returns false if there's no such job.
+  async setStatus(id, owner, status) {
+    return (await this.redis.eval(this.setStatusScript, 1, jobKey(id), owner, status)) === 1;
+  }
+
+  // Drop a job of `owner`'s before it's done. Returns the job, or null if
+  // there's no such job.
+  async cancel(id, owner) {
+    const job = await this.getJob(id);
+    if (!job || job.owner !== owner) return null;
+
+    await this.remove(job);
+    return job;
+  }
+
+  // Take the leases on up to `limit` unclaimed jobs, oldest first. Returns
+  // their ids.
+  async claim(limit) {
+    if (limit <= 0) return [];
+
+    return this.redis.eval(this.claimScript, 1, QUEUE_KEY, limit, CLAIM_SCAN_SIZE, this.workerId, this.leaseMs);
+  }
+
+  // Returns false if the lease was lost to another server
+  async renewLease(id) {
+    return (await this.redis.eval(this.leaseScript, 1, leaseKey(id), this.workerId, this.leaseMs, 'renew')) === 1;
+  }
+
+  async releaseLease(id) {
+    await this.redis.eval(this.leaseScript, 1, leaseKey(id), this.workerId, this.leaseMs, 'release');
+  }
+
+  async setCursor(id, cursor, skipped) {
+    await this.redis.eval(this.setCursorScript, 1, jobKey(id), cursor, skipped);
+  }
+
+  // Forget a finished job
+  async remove(job) {
+    await this.redis.eval(
+      this.removeScript,
+      5,
+      QUEUE_KEY,
+      jobKey(job.id),
+      pixelsKey(job.id),
+      leaseKey(job.id),
+      ownerKey(job.owner),
+      job.id
+    );
+  }
+
+  // Tell every server about a job, so whichever holds the owner's socket can
+  // pass it on
+  async publish(owner, message) {
+    await this.redis.publish(IMAGE_JOB_EVENTS_CHANNEL, JSON.stringify({ owner, message }));
+  }
+}
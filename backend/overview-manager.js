@@ -0,0 +1,254 @@
+// Downsampled copies of the canvas for zoomed-out views.
+//
+// Level N holds the canvas at 1/N scale, cut into tiles of the usual size,
+// so one overview tile covers N×N full-resolution tiles. Each level is
+// built from the one below it by averaging 2×2 blocks. Overview tiles are
+// always stored as RGBA under `overview:N:x:y`.
+//
+// Writes only mark their tiles dirty; flush() later redraws the affected
+// quarter of each overview tile above them, one level at a time.
+
+export const OVERVIEW_LEVELS = [2, 4, 8, 16];
+
+const DIRTY_KEY = 'overview:dirty'; // Full-resolution tiles changed since the last flush
+const VERSIONS_KEY = 'overview:versions';
+const BUILT_KEY = 'overview:built';
+
+// Full-resolution tiles redrawn per flush
+const FLUSH_BATCH_SIZE = 256;
+
+// Average each 2×2 block of an RGBA tile into one pixel
+function downsample(rgba, size) {
+  const half = size / 2;
+  const result = Buffer.alloc(half * half * 4);
+
+  for (let y = 0; y < half; y++) {
+    for (let x = 0; x < half; x++) {
+      const topLeft = (y * 2 * size + x * 2) * 4;
+      const bottomLeft = topLeft + size * 4;
+      const target = (y * half + x) * 4;
+
+      for (let channel = 0; channel < 4; channel++) {
+        result[target + channel] = (
+          rgba[topLeft + channel] + rgba[topLeft + 4 + channel] +
+          rgba[bottomLeft + channel] + rgba[bottomLeft + 4 + channel] + 2
+        ) >> 2;
+      }
+    }
+  }
+
+  return result;
+}
+
+export class OverviewManager {
+  constructor(redis, tileManager) {
+    this.redis = redis;
+    this.tileManager = tileManager;
+
+    // Lua script overwriting rows of an overview tile, creating it white
+    // first if needed, and bumping its version. ARGV[1] is the size of a
+    // whole tile in bytes, then byte offset / row bytes pairs.
+    this.writeRowsScript = `
+      if redis.call('EXISTS', KEYS[1]) == 0 then
+        redis.call('SET', KEYS[1], string.rep('\\255', tonumber(ARGV[1])))
+      end
+      for i = 2, #ARGV, 2 do
+        redis.call('SETRANGE', KEYS[1], tonumber(ARGV[i]), ARGV[i + 1])
+      end
+      return redis.call('HINCRBY', KEYS[2], KEYS[1], 1)
+    `;
+  }
+
+  // Schedule a full rebuild the first time we run against this Redis
+  async init() {
+    if (await this.redis.set(BUILT_KEY, '1', 'NX')) {
+      await this.markAllDirty();
+    }
+  }
+
+  isLevel(level) {
+    return OVERVIEW_LEVELS.includes(level);
+  }
+
+  getLevelSize(level) {
+    return {
+      tilesX: Math.ceil(this.tileManager.tilesX / level),
+      tilesY: Math.ceil(this.tileManager.tilesY / level)
+    };
+  }
+
+  // Parse a `tile:x:y` id in the tile grid of a level
+  parseTileId(level, tileId) {
+    const coords = this.tileManager.parseTileId(tileId);
+    if (!coords) return null;
+
+    const { tilesX, tilesY } = this.getLevelSize(level);
+    return coords.tileX < tilesX && coords.tileY < tilesY ? coords : null;
+  }
+
+  getKey(level, tileX, tileY) {
+    return `overview:${level}:${tileX}:${tileY}`;
+  }
+
+  async markDirty(pixels) {
+    if (pixels.length === 0) return;
+
+    const tiles = new Set();
+    for (const { x, y } of pixels) {
+      const { tileX, tileY } = this.tileManager.coordsToTile(x, y);
+      tiles.add(`${tileX}:${tileY}`);
+    }
+
+    try {
+      await this.redis.sadd(DIRTY_KEY, ...tiles);
+    } catch (error) {
+      console.error('Error marking overview tiles dirty:', error);
+    }
+  }
+
+  async markAllDirty() {
+    const { tilesX, tilesY } = this.tileManager;
+    const tiles = [];
+    for (let tileY = 0; tileY < tilesY; tileY++) {
+      for (let tileX = 0; tileX < tilesX; tileX++) {
+        tiles.push(`${tileX}:${tileY}`);
+      }
+    }
+    await this.redis.sadd(DIRTY_KEY, ...tiles);
+  }
+
+  // Redraw the overview tiles above a batch of dirty tiles. Returns how many
+  // full-resolution tiles were processed.
+  async flush() {
+    const dirty = await this.redis.spop(DIRTY_KEY, FLUSH_BATCH_SIZE);
+    if (dirty.length === 0) return 0;
+
+    try {
+      let children = dirty.map((tile) => {
+        const [tileX, tileY] = tile.split(':').map(Number);
+        return { tileX, tileY };
+      });
+      let childLevel = 1;
+
+      for (const level of OVERVIEW_LEVELS) {
+        const parents = new Map();
+
+        for (const { tileX, tileY } of children) {
+          const rgba = await this.readTile(childLevel, tileX, tileY);
+          await this.writeQuarter(level, tileX, tileY, downsample(rgba, this.tileManager.tileSize));
+
+          const parent = { tileX: Math.floor(tileX / 2), tileY: Math.floor(tileY / 2) };
+          parents.set(`${parent.tileX}:${parent.tileY}`, parent);
+        }
+
+        children = [...parents.values()];
+        childLevel = level;
+      }
+    } catch (error) {
+      // Try again on the next flush
+      await this.redis.sadd(DIRTY_KEY, ...dirty);
+      throw error;
+    }
+
+    return dirty.length;
+  }
+
+  async readTile(level, tileX, tileY) {
+    if (level === 1) {
+      const tile = await this.tileManager.getRawTile(tileX, tileY);
+      if (!tile) {
+        throw new Error(`Failed to read tile ${tileX}:${tileY}`);
+      }
+      return this.tileManager.toRgba(tile);
+    }
+
+    return (await this.redis.getBuffer(this.getKey(level, tileX, tileY))) || this.emptyTile();
+  }
+
+  // Write a downsampled child tile into its quarter of the parent tile
+  async writeQuarter(level, childX, childY, rgba) {
+    const { tileSize } = this.tileManager;
+    const half = tileSize / 2;
+    const left = (childX % 2) * half;
+    const top = (childY % 2) * half;
+    const args = [tileSize * tileSize * 4];
+
+    for (let row = 0; row < half; row++) {
+      args.push(((top + row) * tileSize + left) * 4, rgba.subarray(row * half * 4, (row + 1) * half * 4));
+    }
+
+    await this.redis.eval(
+      this.writeRowsScript,
+      2,
+      this.getKey(level, Math.floor(childX / 2), Math.floor(childY / 2)),
+      VERSIONS_KEY,
+      ...args
+    );
+  }
+
+  // The whole board at 1/level scale as one RGBA buffer. Level 1 is full
+  // resolution; overview levels are as fresh as their last flush.
+  async getCanvasRgba(level = 1) {
+    const { tileSize } = this.tileManager;
+    const width = Math.ceil(this.tileManager.canvasWidth / level);
+    const height = Math.ceil(this.tileManager.canvasHeight / level);
+    const { tilesX, tilesY } = level === 1 ? this.tileManager : this.getLevelSize(level);
+    const rgba = Buffer.alloc(width * height * 4);
+
+    for (let tileY = 0; tileY < tilesY; tileY++) {
+      for (let tileX = 0; tileX < tilesX; tileX++) {
+        const tileRgba = await this.readTile(level, tileX, tileY);
+        const left = tileX * tileSize;
+        const rowBytes = Math.min(tileSize, width - left) * 4;
+        const rows = Math.min(tileSize, height - tileY * tileSize);
+
+        // Copy row by row, clipping tiles that stick out past the edge
+        for (let row = 0; row < rows; row++) {
+          const y = tileY * tileSize + row;
+          tileRgba.copy(rgba, (y * width + left) * 4, row * tileSize * 4, row * tileSize * 4 + rowBytes);
+        }
+      }
+    }
+
+    return { width, height, rgba };
+  }
+
+  emptyTile() {
+    return Buffer.alloc(this.tileManager.tileSize * this.tileManager.tileSize * 4, 255);
+  }
+
+  async getTileVersion(level, tileX, tileY) {
+    const version = await this.redis.hget(VERSIONS_KEY, this.getKey(level, tileX, tileY));
+    return Number(version) || 0;
+  }
+
+  // Same shape as TileManager.getRawTile for RGBA tiles
+  async getTile(level, tileX, tileY) {
+    const key = this.getKey(level, tileX, tileY);
+    const [[dataError, data], [versionError, version]] = await this.redis.multi()
+      .getBuffer(key)
+      .hget(VERSIONS_KEY, key)
+      .exec();
+    if (dataError || versionError) {
+      throw dataError || versionError;
+    }
+
+    return {
+      tileX,
+      tileY,
+      version: Number(version) || 0,
+      rgba: data || this.emptyTile()
+    };
+  }
+
+  async getTiles(level, tileIds) {
+    const tiles = [];
+    for (const tileId of tileIds) {
+      const coords = this.parseTileId(level, tileId);
+      if (coords) {
+        tiles.push(await this.getTile(level, coords.tileX, coords.tileY));
+      }
+    }
+    return tiles;
+  }
+}
@@ -0,0 +1,84 @@
+// Fixed 256 color palette used by indexed tile storage.
+//
+// White has to be index 0: SETRANGE pads freshly created tiles with zero
+// bytes, and those should read back as blank canvas.
+
+// Same presets the frontend color picker offers
+const PRESET_COLORS = [
+  '#ff0000', '#00ff00', '#0000ff', '#ffff00',
+  '#ff00ff', '#00ffff', '#ffffff', '#000000',
+  '#ff8000', '#8000ff', '#0080ff', '#80ff00',
+  '#ff0080', '#00ff80', '#808080', '#404040',
+  '#800000', '#008000', '#000080', '#808000',
+  '#800080', '#008080', '#c0c0c0', '#ff6666',
+  '#66ff66', '#6666ff', '#ffff66', '#ff66ff',
+  '#66ffff', '#666666', '#999999'
+];
+
+const PALETTE_SIZE = 256;
+const MAX_CACHED_COLORS = 4096;
+
+const toHex = (value) => value.toString(16).padStart(2, '0');
+
+function buildPalette() {
+  const colors = new Set(['#ffffff', ...PRESET_COLORS]);
+
+  // 6x6x6 color cube
+  const levels = [0, 51, 102, 153, 204, 255];
+  for (const r of levels) {
+    for (const g of levels) {
+      for (const b of levels) {
+        colors.add(`#${toHex(r)}${toHex(g)}${toHex(b)}`);
+      }
+    }
+  }
+
+  // Fill whatever is left with grays
+  for (let v = 8; v < 256 && colors.size < PALETTE_SIZE; v += 8) {
+    colors.add(`#${toHex(v)}${toHex(v)}${toHex(v)}`);
+  }
+
+  return Array.from(colors);
+}
+
+export const PALETTE = buildPalette();
+
+// Packed RGB triples, in palette order
+export const PALETTE_RGB = Buffer.from(PALETTE.flatMap((hex) => [
+  parseInt(hex.slice(1, 3), 16),
+  parseInt(hex.slice(3, 5), 16),
+  parseInt(hex.slice(5, 7), 16)
+]));
+
+const nearestCache = new Map();
+
+// Index of the palette entry closest to `hex` (squared RGB distance)
+export function nearestPaletteIndex(hex) {
+  const key = hex.toLowerCase();
+  const cached = nearestCache.get(key);
+  if (cached !== undefined) return cached;
+
+  const r = parseInt(key.slice(1, 3), 16);
+  const g = parseInt(key.slice(3, 5), 16);
+  const b = parseInt(key.slice(5, 7), 16);
+
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < PALETTE.length; i++) {
+    const dr = PALETTE_RGB[i * 3] - r;
+    const dg = PALETTE_RGB[i * 3 + 1] - g;
+    const db = PALETTE_RGB[i * 3 + 2] - b;
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+      if (distance === 0) break;
+    }
+  }
+
+  if (nearestCache.size >= MAX_CACHED_COLORS) {
+    nearestCache.clear();
+  }
+  nearestCache.set(key, best);
+  return best;
+}
@@ -0,0 +1,80 @@
+// Orders in which an image's pixels can be drawn. Images can take a while to
+// draw under the pixel budget, so the order decides what a half-drawn (or
+// abandoned) image looks like:
+//
+//   row     top to bottom, left to right: a growing band
+//   random  scattered evenly over the whole image, which fills in like a
+//           picture coming into focus
+//   spiral  outwards from the center in square rings
+//   edges   outlines first (pixels next to a different color or to the
+//           image's border), then the rest scattered at random
+//
+// Pixels are { x, y, color } in canvas coordinates.
+
+export const PIXEL_ORDERS = ['row', 'random', 'spiral', 'edges'];
+
+function shuffle(pixels) {
+  for (let i = pixels.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pixels[i], pixels[j]] = [pixels[j], pixels[i]];
+  }
+  return pixels;
+}
+
+function byRow(a, b) {
+  return a.y - b.y || a.x - b.x;
+}
+
+function spiral(pixels) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const { x, y } of pixels) {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+
+  // Ring by ring, each ring going round clockwise
+  const keyed = pixels.map((pixel) => {
+    const dx = pixel.x - centerX;
+    const dy = pixel.y - centerY;
+    return { pixel, ring: Math.max(Math.abs(dx), Math.abs(dy)), angle: Math.atan2(dy, dx) };
+  });
+  keyed.sort((a, b) => a.ring - b.ring || a.angle - b.angle);
+  return keyed.map(({ pixel }) => pixel);
+}
+
+function edgesFirst(pixels) {
+  const colors = new Map();
+  for (const { x, y, color } of pixels) {
+    colors.set(`${x}:${y}`, color);
+  }
+
+  const edges = [];
+  const rest = [];
+  for (const pixel of pixels) {
+    const { x, y, color } = pixel;
+    const isEdge = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dx, dy]) =>
+      colors.get(`${x + dx}:${y + dy}`) !== color
+    );
+    (isEdge ? edges : rest).push(pixel);
+  }
+
+  return [...edges.sort(byRow), ...shuffle(rest)];
+}
+
+// Returns the pixels in drawing order for `order`, one of PIXEL_ORDERS
+export function orderPixels(pixels, order) {
+  switch (order) {
+    case 'random':
+      return shuffle([...pixels]);
+    case 'spiral':
+      return spiral(pixels);
+    case 'edges':
+      return edgesFirst(pixels);
+    default:
+      return [...pixels].sort(byRow);
+  }
+}
@@ -0,0 +1,62 @@
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+// Minimal PNG encoder for 8-bit RGBA images, enough to serve tiles and the
+// whole board without pulling in an image library.
+
+const deflate = promisify(zlib.deflate);
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+function crc32(buffers) {
+  let crc = -1;
+  for (const buffer of buffers) {
+    for (let i = 0; i < buffer.length; i++) {
+      crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const typeBuffer = Buffer.from(type, 'ascii');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32([typeBuffer, data]), 0);
+  return Buffer.concat([length, typeBuffer, data, crc]);
+}
+
+export async function encodePng(width, height, rgba) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.writeUInt8(8, 8);  // Bit depth
+  header.writeUInt8(6, 9);  // Color type: RGBA
+  header.writeUInt8(0, 10); // Compression
+  header.writeUInt8(0, 11); // Filter method
+  header.writeUInt8(0, 12); // No interlacing
+
+  // Every scanline is prefixed with its filter type (0, none)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    rgba.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', await deflate(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
@@ -0,0 +1,147 @@
+// Binary WebSocket protocol.
+//
+// Clients opt in by sending a `hello` message listing the protocols they
+// understand right after connecting. Anything that doesn't (or asks for a
+// version we don't speak) keeps receiving plain JSON.
+//
+// Every binary frame starts with a one byte opcode. Multi-byte integers are
+// big-endian.
+//
+//   OP_PIXEL_UPDATES [op][seq f64][userCount u16] then per user:
+//                    [length u16][utf8 bytes]
+//                    then [count u32] and per update:
+//                    [x u16][y u16][r][g][b][user u16]
+//   OP_TILES         [op][level u8][count u16] then per tile:
+//                    [tileX u16][tileY u16][version u32][format u8]
+//                    [length u32][body]
+//
+// `seq` is the sequence number of the batch the updates belong to (see
+// update-sequencer.js), as a double so it never wraps. Each update's `user`
+// is an index into the frame's user table, or 0xffff for anonymous
+// placements.
+//
+// Level 1 tiles are full resolution, higher levels are overview tiles (see
+// overview-manager.js). Tile bodies are either raw RGBA or indexed:
+// [paletteSize u16], paletteSize RGB triples, then one palette index per
+// pixel.
+
+export const PROTOCOL_VERSION = 6;
+
+export const OP_PIXEL_UPDATES = 0x01;
+export const OP_TILES = 0x02;
+
+export const TILE_FORMAT_RGBA = 0;
+export const TILE_FORMAT_INDEXED = 1;
+
+const MAX_PALETTE_SIZE = 256;
+
+const NO_USER = 0xffff;
+
+export function negotiateProtocol(hello) {
+  const protocols = Array.isArray(hello.protocols) ? hello.protocols : [];
+  if (protocols.includes('binary') && hello.version === PROTOCOL_VERSION) {
+    return 'binary';
+  }
+  return 'json';
+}
+
+export function encodePixelUpdates(updates, seq) {
+  // Each user goes out once per frame, however many pixels they placed
+  const users = new Map();
+  for (const { user } of updates) {
+    if (user && !users.has(user) && users.size < NO_USER) {
+      users.set(user, users.size);
+    }
+  }
+
+  const names = [...users.keys()].map((user) => Buffer.from(user, 'utf8'));
+  const tableLength = names.reduce((total, name) => total + 2 + name.length, 0);
+  const frame = Buffer.alloc(11 + tableLength + 4 + updates.length * 9);
+  frame.writeUInt8(OP_PIXEL_UPDATES, 0);
+  frame.writeDoubleBE(seq, 1);
+  frame.writeUInt16BE(names.length, 9);
+
+  let offset = 11;
+  for (const name of names) {
+    frame.writeUInt16BE(name.length, offset);
+    name.copy(frame, offset + 2);
+    offset += 2 + name.length;
+  }
+
+  frame.writeUInt32BE(updates.length, offset);
+  offset += 4;
+  for (const { x, y, color, user } of updates) {
+    frame.writeUInt16BE(x, offset);
+    frame.writeUInt16BE(y, offset + 2);
+    frame.writeUInt8(parseInt(color.slice(1, 3), 16), offset + 4);
+    frame.writeUInt8(parseInt(color.slice(3, 5), 16), offset + 5);
+    frame.writeUInt8(parseInt(color.slice(5, 7), 16), offset + 6);
+    frame.writeUInt16BE(users.get(user) ?? NO_USER, offset + 7);
+    offset += 9;
+  }
+
+  return frame;
+}
+
+// Most tiles only use a handful of colors, so try to pack them as indexed
+// data and fall back to raw RGBA when there are too many.
+function encodeTileBody(rgba) {
+  const palette = new Map();
+  const indices = Buffer.alloc(rgba.length / 4);
+
+  for (let i = 0; i < indices.length; i++) {
+    const offset = i * 4;
+    const rgb = (rgba[offset] << 16) | (rgba[offset + 1] << 8) | rgba[offset + 2];
+    let index = palette.get(rgb);
+    if (index === undefined) {
+      if (palette.size === MAX_PALETTE_SIZE) {
+        return { format: TILE_FORMAT_RGBA, body: rgba };
+      }
+      index = palette.size;
+      palette.set(rgb, index);
+    }
+    indices[i] = index;
+  }
+
+  const header = Buffer.alloc(2 + palette.size * 3);
+  header.writeUInt16BE(palette.size, 0);
+  let offset = 2;
+  for (const rgb of palette.keys()) {
+    header.writeUInt8((rgb >> 16) & 0xff, offset++);
+    header.writeUInt8((rgb >> 8) & 0xff, offset++);
+    header.writeUInt8(rgb & 0xff, offset++);
+  }
+
+  return { format: TILE_FORMAT_INDEXED, body: Buffer.concat([header, indices]) };
+}
+
+// Tiles stored as palette indices can go out as they are
+function encodeIndexedBody(indices, palette) {
+  const header = Buffer.alloc(2);
+  header.writeUInt16BE(palette.length / 3, 0);
+  return Buffer.concat([header, palette, indices]);
+}
+
+export function encodeTiles(tiles, level = 1) {
+  const parts = [];
+  const frameHeader = Buffer.alloc(4);
+  frameHeader.writeUInt8(OP_TILES, 0);
+  frameHeader.writeUInt8(level, 1);
+  frameHeader.writeUInt16BE(tiles.length, 2);
+  parts.push(frameHeader);
+
+  for (const tile of tiles) {
+    const { format, body } = tile.indices
+      ? { format: TILE_FORMAT_INDEXED, body: encodeIndexedBody(tile.indices, tile.palette) }
+      : encodeTileBody(tile.rgba);
+    const tileHeader = Buffer.alloc(13);
+    tileHeader.writeUInt16BE(tile.tileX, 0);
+    tileHeader.writeUInt16BE(tile.tileY, 2);
+    tileHeader.writeUInt32BE(tile.version, 4);
+    tileHeader.writeUInt8(format, 8);
+    tileHeader.writeUInt32BE(body.length, 9);
+    parts.push(tileHeader, body);
+  }
+
+  return Buffer.concat(parts);
+}
@@ -0,0 +1,46 @@
+// Remembers who last placed each pixel and when. One Redis hash per tile,
+// with the pixel's index within the tile as the field.
+//
+// `placedBy` is the connection's clientId, which changes on every reconnect;
+// `userKey` (see identity.js) stays the same for the same user or address.
+export class ProvenanceStore {
+  constructor(redis, tileSize) {
+    this.redis = redis;
+    this.tileSize = tileSize;
+  }
+
+  locate(x, y) {
+    const tileX = Math.floor(x / this.tileSize);
+    const tileY = Math.floor(y / this.tileSize);
+    return {
+      key: `provenance:${tileX}:${tileY}`,
+      field: (y % this.tileSize) * this.tileSize + (x % this.tileSize)
+    };
+  }
+
+  async record(placements) {
+    if (placements.length === 0) return;
+
+    try {
+      const pipeline = this.redis.pipeline();
+      for (const { x, y, placedBy, userKey, user, timestamp } of placements) {
+        const { key, field } = this.locate(x, y);
+        pipeline.hset(key, field, JSON.stringify(
+          user ? { placedBy, userKey, user, timestamp } : { placedBy, userKey, timestamp }
+        ));
+      }
+      await pipeline.exec();
+    } catch (error) {
+      console.error('Error recording pixel provenance:', error);
+    }
+  }
+
+  // Returns { placedBy, userKey, user, timestamp } (user only for logged-in
+  // users, userKey only for placements recorded since it was added), or null
+  // for a pixel nobody has placed
+  async inspect(x, y) {
+    const { key, field } = this.locate(x, y);
+    const record = await this.redis.hget(key, field);
+    return record ? JSON.parse(record) : null;
+  }
+}
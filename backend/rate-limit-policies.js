@@ -0,0 +1,97 @@
+// Rate limit policies, per action and per tier.
+//
+// Every limited action (placing a pixel, starting an image, storing a
+// template, logging in) has a policy for each tier of user. A policy is
+// either a sliding window:
+//
+//   { "algorithm": "sliding_window", "maxRequests": 10, "windowSeconds": 60 }
+//
+// or a token bucket, which allows bursts of up to `capacity` and then one
+// request every 1 / refillPerSecond seconds:
+//
+//   { "algorithm": "token_bucket", "capacity": 20, "refillPerSecond": 0.5 }
+//
+// `failMode` decides what happens when Redis can't be reached: "open" lets
+// requests through, "closed" turns them away.
+//
+// Overrides come as JSON in the same shape as DEFAULT_POLICIES. Fields left
+// out keep their defaults as long as the algorithm stays the same.
+
+export const TIERS = ['anonymous', 'registered', 'admin'];
+
+export const DEFAULT_POLICIES = {
+  pixel: {
+    anonymous: { algorithm: 'token_bucket', capacity: 10, refillPerSecond: 0.5, failMode: 'open' },
+    registered: { algorithm: 'token_bucket', capacity: 20, refillPerSecond: 1, failMode: 'open' },
+    admin: { algorithm: 'token_bucket', capacity: 1000, refillPerSecond: 100, failMode: 'open' }
+  },
+  image: {
+    anonymous: { algorithm: 'sliding_window', maxRequests: 10, windowSeconds: 60, failMode: 'open' },
+    registered: { algorithm: 'sliding_window', maxRequests: 10, windowSeconds: 60, failMode: 'open' },
+    admin: { algorithm: 'sliding_window', maxRequests: 100, windowSeconds: 60, failMode: 'open' }
+  },
+  // Storing a shared template
+  template: {
+    anonymous: { algorithm: 'sliding_window', maxRequests: 5, windowSeconds: 3600, failMode: 'open' },
+    registered: { algorithm: 'sliding_window', maxRequests: 20, windowSeconds: 3600, failMode: 'open' },
+    admin: { algorithm: 'sliding_window', maxRequests: 100, windowSeconds: 3600, failMode: 'open' }
+  },
+  // Per address, whoever is logging in
+  login: {
+    anonymous: { algorithm: 'sliding_window', maxRequests: 10, windowSeconds: 60, failMode: 'closed' }
+  }
+};
+
+const ALGORITHM_FIELDS = {
+  sliding_window: ['maxRequests', 'windowSeconds'],
+  token_bucket: ['capacity', 'refillPerSecond']
+};
+
+function validatePolicy(name, policy) {
+  const fields = ALGORITHM_FIELDS[policy.algorithm];
+  if (!fields) {
+    throw new Error(`Rate limit policy ${name}: unknown algorithm ${JSON.stringify(policy.algorithm)}`);
+  }
+  for (const field of fields) {
+    if (typeof policy[field] !== 'number' || !(policy[field] > 0)) {
+      throw new Error(`Rate limit policy ${name}: ${field} must be a positive number`);
+    }
+  }
+  if (policy.failMode !== 'open' && policy.failMode !== 'closed') {
+    throw new Error(`Rate limit policy ${name}: failMode must be "open" or "closed"`);
+  }
+}
+
+// Merge a JSON string of overrides into the defaults. Throws on anything
+// malformed, so a typo stops the server instead of silently unlimiting it.
+export function loadRateLimitPolicies(json) {
+  const overrides = json ? JSON.parse(json) : {};
+  const policies = {};
+
+  for (const action of new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(overrides)])) {
+    const defaults = DEFAULT_POLICIES[action] || {};
+    const actionOverrides = overrides[action] || {};
+    policies[action] = {};
+
+    for (const tier of new Set([...Object.keys(defaults), ...Object.keys(actionOverrides)])) {
+      if (!TIERS.includes(tier)) {
+        throw new Error(`Rate limit policy ${action}.${tier}: unknown tier`);
+      }
+
+      const base = defaults[tier];
+      const override = actionOverrides[tier] || {};
+      const policy = base && (!override.algorithm || override.algorithm === base.algorithm)
+        ? { ...base, ...override }
+        : { failMode: 'open', ...override };
+
+      validatePolicy(`${action}.${tier}`, policy);
+      policies[action][tier] = policy;
+    }
+
+    if (!policies[action].anonymous) {
+      throw new Error(`Rate limit policy ${action}: needs at least an anonymous tier`);
+    }
+  }
+
+  return policies;
+}
@@ -1,86 +1,163 @@
-// Rate limiting configuration
-const DEFAULT_MAX_REQUESTS = 3000000000;
-const DEFAULT_WINDOW_SECONDS = 30000000000;
-const IMAGE_MAX_REQUESTS = 10;
-const IMAGE_WINDOW_SECONDS = 60;
+import { DEFAULT_POLICIES } from './rate-limit-policies.js';
+
+// How long a fail-closed limiter tells clients to wait while Redis is down
+const FAIL_CLOSED_RETRY_MS = 5000;
 
 export class RateLimiter {
-  constructor(redis) {
+  constructor(redis, policies = DEFAULT_POLICIES) {
     this.redis = redis;
-    
-    // Lua script for rate limiting using sliding window
-    this.rateLimitScript = `
+    this.policies = policies;
+
+    // Lua script for rate limiting using sliding window. ARGV[5] is how many
+    // requests to record, as many of them as fit; 0 only looks. Returns how
+    // many were recorded, how many are left in the window, and when the next
+    // one will be allowed (ms).
+    this.slidingWindowScript = `
       local key = KEYS[1]
       local window = tonumber(ARGV[1])
       local limit = tonumber(ARGV[2])
       local current_time = tonumber(ARGV[3])
-      
+      local member = ARGV[4]
+      local count = tonumber(ARGV[5])
+
       -- Remove old entries outside the window
       redis.call('ZREMRANGEBYSCORE', key, '-inf', current_time - window * 1000)
-      
+
       -- Count current entries
       local current = redis.call('ZCARD', key)
-      
-      if current < limit then
-        -- Add current request
-        redis.call('ZADD', key, current_time, current_time)
+      local granted = math.max(0, math.min(count, limit - current))
+
+      if granted > 0 then
+        -- Add current requests
+        for i = 1, granted do
+          redis.call('ZADD', key, current_time, member .. ':' .. i)
+        end
         redis.call('EXPIRE', key, window)
-        return 1
-      else
-        return 0
+        current = current + granted
+      end
+
+      -- Once the window is full, the next slot frees up when the oldest entry expires
+      local next_allowed = current_time
+      if current >= limit then
+        local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+        if oldest[2] then
+          next_allowed = tonumber(oldest[2]) + window * 1000
+        end
+      end
+
+      return { granted, limit - current, string.format('%.0f', next_allowed) }
+    `;
+
+    // Lua script for a token bucket stored as a hash of `tokens` and the
+    // time they were counted. Same arguments and result as above, with
+    // capacity and refill rate (tokens per ms) instead of the window.
+    this.tokenBucketScript = `
+      local key = KEYS[1]
+      local capacity = tonumber(ARGV[1])
+      local rate = tonumber(ARGV[2])
+      local current_time = tonumber(ARGV[3])
+      local count = tonumber(ARGV[5])
+
+      local state = redis.call('HMGET', key, 'tokens', 'updated')
+      local tokens = tonumber(state[1]) or capacity
+      local updated = tonumber(state[2]) or current_time
+      tokens = math.min(capacity, tokens + math.max(0, current_time - updated) * rate)
+
+      local granted = math.max(0, math.min(count, math.floor(tokens)))
+
+      if count > 0 then
+        tokens = tokens - granted
+        redis.call('HSET', key, 'tokens', tostring(tokens), 'updated', string.format('%.0f', current_time))
+        -- Gone once the bucket would be full again anyway
+        redis.call('PEXPIRE', key, math.ceil(capacity / rate) + 1000)
+      end
+
+      local next_allowed = current_time
+      if tokens < 1 then
+        next_allowed = current_time + math.ceil((1 - tokens) / rate)
       end
+
+      return { granted, math.floor(tokens), string.format('%.0f', next_allowed) }
     `;
   }
 
-  async checkRateLimit(key, maxRequests = DEFAULT_MAX_REQUESTS, windowSeconds = DEFAULT_WINDOW_SECONDS) {
-    try {
-      const currentTime = Date.now();
-      const result = await this.redis.eval(
-        this.rateLimitScript,
-        1,
-        key,
-        windowSeconds,
-        maxRequests,
-        currentTime
-      );
-      
-      return result === 1;
-    } catch (error) {
-      console.error('Rate limit error:', error);
-      // Fail open - allow the request if there's an error
-      return true;
+  // Policy for an action, falling back to the anonymous tier
+  getPolicy(action, tier) {
+    const policies = this.policies[action];
+    if (!policies) {
+      throw new Error(`No rate limit policy for ${action}`);
     }
+    return policies[tier] || policies.anonymous;
   }
 
-  // Convenience method for pixel placement rate limiting
-  async checkPixelRateLimit(key) {
-    return this.checkRateLimit(key, DEFAULT_MAX_REQUESTS, DEFAULT_WINDOW_SECONDS);
+  // Record a request by `key` if its policy allows it. Resolves to
+  // { allowed, remaining, nextAllowedAt }.
+  async consume(action, tier, key) {
+    const { granted, ...state } = await this.take(action, tier, key, 1);
+    return { allowed: granted === 1, ...state };
   }
 
-  // Convenience method for image upload rate limiting
-  async checkImageRateLimit(key) {
-    return this.checkRateLimit(key, IMAGE_MAX_REQUESTS, IMAGE_WINDOW_SECONDS);
+  // Same as consume() without recording a request
+  async peek(action, tier, key) {
+    const state = await this.take(action, tier, key, 0);
+    return { allowed: state.remaining > 0, remaining: state.remaining, nextAllowedAt: state.nextAllowedAt };
   }
 
-  async getRemainingRequests(key, maxRequests = DEFAULT_MAX_REQUESTS, windowSeconds = DEFAULT_WINDOW_SECONDS) {
+  // Record up to `count` requests at once, as many as the policy allows right
+  // now. Resolves to { granted, remaining, nextAllowedAt }.
+  async take(action, tier, key, count) {
+    const policy = this.getPolicy(action, tier);
+    const currentTime = Date.now();
+
     try {
-      const currentTime = Date.now();
-      await this.redis.zremrangebyscore(key, '-inf', currentTime - windowSeconds * 1000);
-      const current = await this.redis.zcard(key);
-      return Math.max(0, maxRequests - current);
+      const [granted, remaining, nextAllowedAt] = policy.algorithm === 'token_bucket'
+        ? await this.redis.eval(
+          this.tokenBucketScript,
+          1,
+          `rate_limit:${action}:bucket:${key}`,
+          policy.capacity,
+          policy.refillPerSecond / 1000,
+          currentTime,
+          '',
+          count
+        )
+        : await this.redis.eval(
+          this.slidingWindowScript,
+          1,
+          `rate_limit:${action}:window:${key}`,
+          policy.windowSeconds,
+          policy.maxRequests,
+          currentTime,
+          // Unique, so requests in the same millisecond are all counted
+          `${currentTime}-${Math.random().toString(36).slice(2)}`,
+          count
+        );
+
+      return {
+        granted,
+        remaining: Math.max(0, remaining),
+        nextAllowedAt: Number(nextAllowedAt)
+      };
     } catch (error) {
-      console.error('Error getting remaining requests:', error);
-      return maxRequests;
+      console.error(`Rate limit error (${action}, failing ${policy.failMode}):`, error);
+      if (policy.failMode === 'closed') {
+        return { granted: 0, remaining: 0, nextAllowedAt: currentTime + FAIL_CLOSED_RETRY_MS };
+      }
+      return {
+        granted: count,
+        remaining: policy.capacity || policy.maxRequests,
+        nextAllowedAt: currentTime
+      };
     }
   }
 
-  async resetRateLimit(key) {
+  async resetRateLimit(action, key) {
     try {
-      await this.redis.del(key);
+      await this.redis.del(`rate_limit:${action}:bucket:${key}`, `rate_limit:${action}:window:${key}`);
       return true;
     } catch (error) {
       console.error('Error resetting rate limit:', error);
       return false;
     }
   }
-}
\ No newline at end of file
+}
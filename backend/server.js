@@ -1,31 +1,152 @@
+import crypto from 'crypto';
+import fs from 'fs';
 import uWS from 'uWebSockets.js';
 import Redis from 'ioredis';
-import { MongoClient } from 'mongodb';
+import { MongoClient, ObjectId } from 'mongodb';
 import { v4 as uuidv4 } from 'uuid';
-import { TileManager } from './tile-manager.js';
+import { TileManager, MAX_CANVAS_SIZE } from './tile-manager.js';
 import { RateLimiter } from './rate-limiter.js';
+import { loadRateLimitPolicies } from './rate-limit-policies.js';
+import { UpdateAggregator } from './update-aggregator.js';
+import { UpdateSequencer } from './update-sequencer.js';
+import { ProvenanceStore } from './provenance-store.js';
+import { EventLog } from './event-log.js';
+import { SnapshotStore } from './snapshot-store.js';
+import { OverviewManager, OVERVIEW_LEVELS } from './overview-manager.js';
+import {
+  ImageJobQueue,
+  IMAGE_JOB_EVENTS_CHANNEL,
+  BYTES_PER_PIXEL,
+  encodePixels,
+  decodePixels,
+  describeJob
+} from './image-job-queue.js';
+import { orderPixels, PIXEL_ORDERS } from './pixel-order.js';
+import { encodePng } from './png.js';
+import { resolveIdentity, resolveClientAddress, parseTrustedProxies } from './identity.js';
+import { createSessionToken } from './session-token.js';
+import { AccountStore, AccountError } from './accounts.js';
+import { TemplateStore, TemplateError, MAX_TEMPLATE_SIZE, describeTemplate, isTemplateId } from './template-store.js';
+import { TemplateTracker } from './template-tracker.js';
+import { asyncRoute, send, sendJson, parseQuery, readJson, etagMatches, HttpError } from './http-utils.js';
+import { negotiateProtocol, encodePixelUpdates, encodeTiles, PROTOCOL_VERSION } from './protocol.js';
 
 const PORT = process.env.PORT || 9001;
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
 const MONGO_URL = process.env.MONGO_URL || 'mongodb://localhost:27017/canvas';
+const TILE_STORAGE = process.env.TILE_STORAGE || 'rgba';
+const UPDATE_FLUSH_INTERVAL_MS = parseInt(process.env.UPDATE_FLUSH_INTERVAL_MS, 10) || 50;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null; // Admin commands are disabled without one
+const SNAPSHOT_RETENTION = parseInt(process.env.SNAPSHOT_RETENTION, 10) || 48;
+const OVERVIEW_FLUSH_INTERVAL_MS = parseInt(process.env.OVERVIEW_FLUSH_INTERVAL_MS, 10) || 2000;
 
-// Canvas configuration
-const CANVAS_WIDTH = 4000;
-const CANVAS_HEIGHT = 4000;
+// Client identity. X-Forwarded-For is only believed when the connection
+// comes from one of TRUSTED_PROXIES (comma-separated addresses), and session
+// tokens are only accepted when SESSION_SECRET is set.
+const IDENTITY_OPTIONS = {
+  trustedProxies: parseTrustedProxies(process.env.TRUSTED_PROXIES),
+  sessionSecret: process.env.SESSION_SECRET || null
+};
+
+// Accounts need SESSION_SECRET to sign their tokens. With ALLOW_ANONYMOUS=false
+// only logged-in users may paint; everyone can still watch.
+const ALLOW_ANONYMOUS = process.env.ALLOW_ANONYMOUS !== 'false';
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS, 10) || 30 * 24 * 60 * 60;
+
+// Rate limits per tier, as JSON inline or in a file (see rate-limit-policies.js).
+// Logged-in users are `registered`, or `admin` if listed in ADMIN_USERS.
+const RATE_LIMIT_POLICIES = loadRateLimitPolicies(
+  process.env.RATE_LIMIT_POLICIES_FILE
+    ? fs.readFileSync(process.env.RATE_LIMIT_POLICIES_FILE, 'utf8')
+    : process.env.RATE_LIMIT_POLICIES
+);
+const ADMIN_USERS = new Set(
+  (process.env.ADMIN_USERS || '').split(',').map((user) => user.trim().toLowerCase()).filter(Boolean)
+);
+
+// Canvas configuration. The size is only the initial one: admins can grow the
+// canvas at runtime and the stored size takes over from then on.
+const CANVAS_WIDTH = parseInt(process.env.CANVAS_WIDTH, 10) || 4000;
+const CANVAS_HEIGHT = parseInt(process.env.CANVAS_HEIGHT, 10) || 4000;
 const TILE_SIZE = 256;
 
+// How long a rendered /canvas.png is reused before rendering a fresh one
+const CANVAS_PNG_CACHE_MS = 10 * 1000;
+
+// Largest /canvas.png rendered, in pixels. Bigger boards are served from the
+// finest overview level that fits, since the render is held in memory.
+const CANVAS_PNG_MAX_PIXELS = parseInt(process.env.CANVAS_PNG_MAX_PIXELS, 10) || 4096 * 4096;
+
+// Replays pause while this much is still waiting to go out to the client
+const REPLAY_MAX_BUFFERED = 512 * 1024;
+
+// Upper bound on tiles a single client may subscribe to at once
+const MAX_SUBSCRIBED_TILES = 1024;
+
+// Past this many missed updates a resyncing client refetches its tiles instead
+const RESYNC_MAX_UPDATES = 10000;
+
+// Image drawing pace: up to IMAGE_BATCH_SIZE pixels per tick, budget permitting,
+// found among the next IMAGE_SCAN_SIZE pixels that may already be right
+const IMAGE_BATCH_SIZE = 50;
+const IMAGE_SCAN_SIZE = 500;
+const IMAGE_BATCH_INTERVAL_MS = 50;
+const IMAGE_PROGRESS_INTERVAL_MS = 500;
+
+// Image jobs live in Redis. Each server draws up to MAX_DRAWING_JOBS at once,
+// renewing its leases every poll; a job whose lease runs out (its server
+// died) is picked up by the next server to poll.
+const MAX_DRAWING_JOBS = parseInt(process.env.MAX_DRAWING_JOBS, 10) || 50;
+const IMAGE_JOB_POLL_INTERVAL_MS = 1000;
+const IMAGE_JOB_LEASE_MS = 10 * 1000;
+
+// Image upload limits. Chunks are checked and packed as they arrive, so an
+// upload holds at most MAX_IMAGE_UPLOAD_BYTES, and all uploads on this server
+// together at most MAX_TOTAL_UPLOAD_BYTES. Chunked uploads idle for
+// IMAGE_UPLOAD_TTL_MS are dropped.
+const MAX_IMAGE_PIXELS = 40000; // 200×200
+const MAX_IMAGE_CHUNKS = 100;
+const MAX_PENDING_UPLOADS = 2; // Per user
+const MAX_IMAGE_UPLOAD_BYTES = MAX_IMAGE_PIXELS * BYTES_PER_PIXEL;
+const MAX_TOTAL_UPLOAD_BYTES = parseInt(process.env.MAX_TOTAL_UPLOAD_BYTES, 10) || 64 * 1024 * 1024;
+const IMAGE_UPLOAD_TTL_MS = 2 * 60 * 1000;
+const IMAGE_UPLOAD_SWEEP_INTERVAL_MS = 10 * 1000;
+
+// Shared templates. Uploads carry the image as base64 RGBA; each client
+// follows at most MAX_FOLLOWED_TEMPLATES at once.
+const MAX_TEMPLATE_BODY_BYTES = Math.ceil((MAX_TEMPLATE_SIZE * MAX_TEMPLATE_SIZE * 4) / 3) * 4 + 16 * 1024;
+const MAX_FOLLOWED_TEMPLATES = 5;
+const MAX_TEMPLATE_MISMATCHES = 100; // Listed in template_status
+
 class PlaceServer {
   constructor() {
     this.redis = new Redis(REDIS_URL);
     this.redisPub = new Redis(REDIS_URL);
     this.redisSub = new Redis(REDIS_URL);
     this.mongo = null;
-    this.tileManager = new TileManager(this.redis, TILE_SIZE, CANVAS_WIDTH, CANVAS_HEIGHT);
-    this.rateLimiter = new RateLimiter(this.redis);
+    this.eventLog = null;
+    this.snapshotStore = null;
+    this.accounts = null;
+    this.templates = null;
+    this.canvasPng = null; // { promise, renderedAt } of the last /canvas.png render
+    this.tileManager = new TileManager(this.redis, TILE_SIZE, CANVAS_WIDTH, CANVAS_HEIGHT, TILE_STORAGE);
+    this.rateLimiter = new RateLimiter(this.redis, RATE_LIMIT_POLICIES);
+    this.provenanceStore = new ProvenanceStore(this.redis, TILE_SIZE);
+    this.overviewManager = new OverviewManager(this.redis, this.tileManager);
+    this.flushingOverviews = false;
+    this.updateSequencer = new UpdateSequencer(this.redis);
+    this.updateAggregator = new UpdateAggregator(UPDATE_FLUSH_INTERVAL_MS, (updates) =>
+      this.updateSequencer.publish(updates)
+    );
+    this.lastBroadcastSeq = 0; // Sequence number of the last batch sent to our clients
     this.clients = new Map();
     this.app = null;
-    this.activeImageDrawings = new Map(); // Track active image drawing processes
-    this.imageChunks = new Map(); // Track incoming image chunks
+    this.imageJobs = new ImageJobQueue(this.redis, uuidv4(), IMAGE_JOB_LEASE_MS);
+    this.drawingJobs = new Map(); // Image jobs this server holds the lease on, by id
+    this.pollingImageJobs = false;
+    this.imageUploads = new Map(); // Chunked image uploads in progress, by `${userKey}:${imageId}`
+    this.imageUploadBytes = 0; // Held by all of them together
+    this.templateTracker = new TemplateTracker(this.tileManager, (id) => this.templates.get(id));
     
     this.init();
   }
@@ -36,18 +157,35 @@ class PlaceServer {
       const mongoClient = new MongoClient(MONGO_URL);
       await mongoClient.connect();
       this.mongo = mongoClient.db('canvas');
+      this.eventLog = new EventLog(this.redis, this.mongo.collection('placements'));
+      await this.eventLog.ensureIndexes();
+      this.snapshotStore = new SnapshotStore(this.mongo, this.tileManager);
+      this.accounts = new AccountStore(this.mongo.collection('users'));
+      await this.accounts.ensureIndexes();
+      this.templates = new TemplateStore(this.mongo.collection('templates'), this.tileManager);
       console.log('Connected to MongoDB');
 
       // Setup Redis pub/sub
-      await this.redisSub.subscribe('canvas:updates');
+      await this.redisSub.subscribe('canvas:updates', 'canvas:control', IMAGE_JOB_EVENTS_CHANNEL);
       this.redisSub.on('message', (channel, message) => {
         if (channel === 'canvas:updates') {
           this.broadcastUpdate(message);
+        } else if (channel === 'canvas:control') {
+          this.handleControlMessage(message);
+        } else if (channel === IMAGE_JOB_EVENTS_CHANNEL) {
+          this.forwardImageJobEvent(message);
         }
       });
+      this.lastBroadcastSeq = await this.updateSequencer.current();
 
-      // Initialize tiles in Redis if needed
+      // Initialize tiles in Redis if needed, from the latest snapshot if
+      // there is one
+      await this.tileManager.loadCanvasSize();
+      if (!(await this.tileManager.isInitialized())) {
+        await this.restoreLatestSnapshot();
+      }
       await this.tileManager.initializeTiles();
+      await this.overviewManager.init();
       
       console.log('Connected to Redis');
       this.startServer();
@@ -63,37 +201,66 @@ class PlaceServer {
         compression: uWS.SHARED_COMPRESSOR,
         maxCompressedSize: 1024 * 1024, // 1MB
         maxBackpressure: 1024 * 1024     // 1MB
-      }).ws('/*', {
+      });
+      this.registerHttpRoutes();
+      this.app.ws('/*', {
       maxPayloadLength: 1024 * 1024,   // 1MB for large image data
+      upgrade: (res, req, context) => {
+        // Browsers can't set headers on a WebSocket, so the token comes in
+        // the query string
+        const identity = resolveIdentity({
+          remoteAddress: Buffer.from(res.getRemoteAddressAsText()).toString(),
+          forwardedFor: req.getHeader('x-forwarded-for'),
+          token: parseQuery(req).get('token')
+        }, IDENTITY_OPTIONS);
+
+        res.upgrade(
+          { identity },
+          req.getHeader('sec-websocket-key'),
+          req.getHeader('sec-websocket-protocol'),
+          req.getHeader('sec-websocket-extensions'),
+          context
+        );
+      },
       message: (ws, message, opCode) => {
         this.handleMessage(ws, message);
       },
       open: (ws) => {
         const clientId = uuidv4();
+        const { identity } = ws.getUserData();
         ws.clientId = clientId;
+        ws.userKey = identity.userKey;
+        ws.userId = identity.userId;
+        ws.protocol = 'json'; // Until the client says hello
+        ws.subscribedTiles = new Set();
+        ws.templates = new Map(); // Template id => { following }, false while it loads
+        ws.replaying = false;
+        ws.subscribe('broadcast');
         this.clients.set(clientId, ws);
-        console.log(`Client connected: ${clientId}`);
+        ws.send(JSON.stringify({ type: 'canvas_info', ...this.getCanvasInfo(), seq: this.lastBroadcastSeq }));
+        ws.send(JSON.stringify({ type: 'session', user: ws.userId, canPlace: this.canPlace(ws) }));
+        if (identity.invalidToken) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Invalid session token' }));
+        }
+        this.rateLimiter.peek('pixel', this.getRateLimitTier(ws), ws.userKey)
+          .then((cooldown) => this.sendCooldown(ws, cooldown));
+        this.sendImageJobs(ws);
+        console.log(`Client connected: ${clientId} (${ws.userKey})`);
       },
       close: (ws) => {
         if (ws.clientId) {
           this.clients.delete(ws.clientId);
-          
-          // Stop any active image drawing for this client
-          const userKey = ws.remoteAddress || ws.clientId;
-          const drawingProcess = this.activeImageDrawings.get(userKey);
-          if (drawingProcess) {
-            clearInterval(drawingProcess.intervalId);
-            this.activeImageDrawings.delete(userKey);
-          }
-          
-          // Clean up any pending image chunks from this client
-          for (const [imageId, chunkData] of this.imageChunks.entries()) {
-            if (chunkData.userKey === userKey) {
-              this.imageChunks.delete(imageId);
-              console.log(`Cleaned up incomplete image chunks for ${imageId}`);
+          for (const [templateId, { following }] of ws.templates) {
+            if (following) {
+              this.templateTracker.unfollow(templateId);
             }
           }
           
+          // Image jobs carry on without the socket, and the client picks
+          // their progress up again when it reconnects. Half-finished
+          // uploads are kept so it can send the rest; they expire if it
+          // doesn't.
+          
           console.log(`Client disconnected: ${ws.clientId}`);
         }
       }
@@ -112,6 +279,269 @@ class PlaceServer {
     }
   }
 
+  registerHttpRoutes() {
+    // CORS preflight for the JSON POST routes
+    this.app.options('/*', (res) => {
+      send(res, '204 No Content', {
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Max-Age': 86400
+      });
+    });
+
+    this.app.get('/api/info', (res) => {
+      sendJson(res, '200 OK', this.getCanvasInfo(), {
+        'Cache-Control': 'public, max-age=10'
+      });
+    });
+
+    this.app.post('/api/register', asyncRoute(async (res, req) => {
+      const address = this.getRequestAddress(res, req);
+      const { username, password } = await readJson(res);
+      
+      this.checkAccountsEnabled();
+      await this.checkLoginRateLimit(address);
+      try {
+        const user = await this.accounts.register(username, password);
+        console.log(`Registered user ${user.username}`);
+        sendJson(res, '201 Created', this.createSession(user));
+      } catch (error) {
+        if (error instanceof AccountError) {
+          throw new HttpError('400 Bad Request', error.message);
+        }
+        throw error;
+      }
+    }));
+
+    this.app.post('/api/login', asyncRoute(async (res, req) => {
+      const address = this.getRequestAddress(res, req);
+      const { username, password } = await readJson(res);
+      
+      this.checkAccountsEnabled();
+      await this.checkLoginRateLimit(address);
+      const user = await this.accounts.authenticate(username, password);
+      if (!user) {
+        throw new HttpError('401 Unauthorized', 'Wrong username or password');
+      }
+      sendJson(res, '200 OK', this.createSession(user));
+    }));
+
+    // Templates place nothing, but storing one isn't free either
+    this.app.post('/api/templates', asyncRoute(async (res, req) => {
+      const identity = this.getRequestIdentity(res, req);
+      const body = await readJson(res, MAX_TEMPLATE_BODY_BYTES);
+      
+      const { allowed } = await this.rateLimiter.consume('template', this.getRateLimitTier(identity), identity.userKey);
+      if (!allowed) {
+        throw new HttpError('429 Too Many Requests', 'Too many templates, try again later');
+      }
+      try {
+        const template = await this.templates.create(body, identity.userId);
+        console.log(`Template ${template._id} created by ${identity.userKey}`);
+        sendJson(res, '201 Created', describeTemplate(template));
+      } catch (error) {
+        if (error instanceof TemplateError) {
+          throw new HttpError('400 Bad Request', error.message);
+        }
+        throw error;
+      }
+    }));
+
+    // Templates never change, so both of these can be cached for good
+    this.app.get('/api/templates/:id', asyncRoute(async (res, req) => {
+      const template = await this.templates.getInfo(req.getParameter(0));
+      if (!template) {
+        throw new HttpError('404 Not Found', 'Template not found');
+      }
+      sendJson(res, '200 OK', describeTemplate(template), {
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      });
+    }));
+
+    this.app.get('/api/templates/:id/image.png', asyncRoute(async (res, req) => {
+      const template = await this.templates.get(req.getParameter(0));
+      if (!template) {
+        throw new HttpError('404 Not Found', 'Template not found');
+      }
+      send(res, '200 OK', {
+        'Content-Type': 'image/png',
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      }, await encodePng(template.width, template.height, template.image));
+    }));
+
+    // PNG by default, raw RGBA bytes with ?format=raw, and ?level=N for an
+    // overview tile. Tiles change all the time, so clients always revalidate
+    // and get a 304 while the tile's version is unchanged.
+    this.app.get('/tiles/:x/:y', asyncRoute(async (res, req) => {
+      const tileX = Number(req.getParameter(0));
+      const tileY = Number(req.getParameter(1));
+      const query = parseQuery(req);
+      const format = query.get('format') || 'png';
+      const level = Number(query.get('level') || 1);
+      const ifNoneMatch = req.getHeader('if-none-match');
+      
+      if (!this.isTileLevel(level)) {
+        sendJson(res, '400 Bad Request', { error: 'Unknown level' });
+        return;
+      }
+      if (!this.parseTileId(level, this.tileManager.getTileId(tileX, tileY))) {
+        sendJson(res, '404 Not Found', { error: 'Tile not found' });
+        return;
+      }
+      if (format !== 'png' && format !== 'raw') {
+        sendJson(res, '400 Bad Request', { error: 'Unknown format' });
+        return;
+      }
+
+      const getHeaders = (version) => ({
+        'Cache-Control': 'public, no-cache',
+        'ETag': `"${this.tileManager.getTileTag(version)}-${level}-${format}"`,
+        'X-Tile-Version': version,
+        'Access-Control-Expose-Headers': 'ETag, X-Tile-Version'
+      });
+
+      // Cheap check before reading and encoding the whole tile
+      const currentVersion = level === 1
+        ? await this.tileManager.getTileVersion(tileX, tileY)
+        : await this.overviewManager.getTileVersion(level, tileX, tileY);
+      const currentHeaders = getHeaders(currentVersion);
+      if (etagMatches(ifNoneMatch, currentHeaders.ETag)) {
+        send(res, '304 Not Modified', currentHeaders);
+        return;
+      }
+
+      const tile = level === 1
+        ? await this.tileManager.getRawTile(tileX, tileY)
+        : await this.overviewManager.getTile(level, tileX, tileY);
+      if (!tile) {
+        sendJson(res, '500 Internal Server Error', { error: 'Failed to get tile' });
+        return;
+      }
+
+      const { tileSize } = this.tileManager;
+      const rgba = this.tileManager.toRgba(tile);
+      const headers = getHeaders(tile.version);
+      
+      if (format === 'raw') {
+        send(res, '200 OK', { ...headers, 'Content-Type': 'application/octet-stream' }, rgba);
+      } else {
+        const png = await encodePng(tileSize, tileSize, rgba);
+        send(res, '200 OK', { ...headers, 'Content-Type': 'image/png' }, png);
+      }
+    }));
+
+    this.app.get('/canvas.png', asyncRoute(async (res) => {
+      const { level, png } = await this.renderCanvasPng();
+      send(res, '200 OK', {
+        'Content-Type': 'image/png',
+        'Cache-Control': `public, max-age=${CANVAS_PNG_CACHE_MS / 1000}`,
+        'X-Canvas-Level': String(level)
+      }, png);
+    }));
+
+    this.app.any('/*', (res) => {
+      sendJson(res, '404 Not Found', { error: 'Not found' });
+    });
+  }
+
+  getRequestAddress(res, req) {
+    return resolveClientAddress(
+      Buffer.from(res.getRemoteAddressAsText()).toString(),
+      req.getHeader('x-forwarded-for'),
+      IDENTITY_OPTIONS.trustedProxies
+    );
+  }
+
+  // HTTP clients send their session token as a bearer token
+  getRequestIdentity(res, req) {
+    const authorization = req.getHeader('authorization');
+    return resolveIdentity({
+      remoteAddress: Buffer.from(res.getRemoteAddressAsText()).toString(),
+      forwardedFor: req.getHeader('x-forwarded-for'),
+      token: authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : null
+    }, IDENTITY_OPTIONS);
+  }
+
+  // Slow down password guessing
+  async checkLoginRateLimit(address) {
+    const { allowed } = await this.rateLimiter.consume('login', 'anonymous', address);
+    if (!allowed) {
+      throw new HttpError('429 Too Many Requests', 'Too many attempts, try again in a minute');
+    }
+  }
+
+  // Tokens can't be signed without a secret
+  checkAccountsEnabled() {
+    if (!IDENTITY_OPTIONS.sessionSecret) {
+      throw new HttpError('503 Service Unavailable', 'Accounts are not enabled on this server');
+    }
+  }
+
+  createSession(user) {
+    return {
+      username: user.username,
+      token: createSessionToken(user.username, IDENTITY_OPTIONS.sessionSecret, SESSION_TTL_SECONDS),
+      expiresIn: SESSION_TTL_SECONDS
+    };
+  }
+
+  // For a socket or an HTTP request's identity
+  getRateLimitTier({ userId }) {
+    if (!userId) return 'anonymous';
+    return ADMIN_USERS.has(userId) ? 'admin' : 'registered';
+  }
+
+  canPlace(ws) {
+    return ALLOW_ANONYMOUS || Boolean(ws.userId);
+  }
+
+  getCanvasInfo() {
+    return { ...this.tileManager.getTileInfo(), overviewLevels: OVERVIEW_LEVELS };
+  }
+
+  // Level 1 is the full-resolution canvas, higher levels are overviews
+  isTileLevel(level) {
+    return level === 1 || this.overviewManager.isLevel(level);
+  }
+
+  parseTileId(level, tileId) {
+    return level === 1
+      ? this.tileManager.parseTileId(tileId)
+      : this.overviewManager.parseTileId(level, tileId);
+  }
+
+  // The finest scale the whole board fits in CANVAS_PNG_MAX_PIXELS at
+  getCanvasPngLevel() {
+    const { canvasWidth, canvasHeight } = this.tileManager;
+    const level = [1, ...OVERVIEW_LEVELS].find((candidate) => (
+      Math.ceil(canvasWidth / candidate) * Math.ceil(canvasHeight / candidate) <= CANVAS_PNG_MAX_PIXELS
+    ));
+    if (!level) {
+      throw new HttpError('413 Payload Too Large', 'Canvas is too large to render');
+    }
+    return level;
+  }
+
+  // Rendering the whole board is expensive, so concurrent and recent
+  // requests share one render. Resolves to { level, png }.
+  renderCanvasPng() {
+    const now = Date.now();
+    if (!this.canvasPng || now - this.canvasPng.renderedAt > CANVAS_PNG_CACHE_MS) {
+      const level = this.getCanvasPngLevel();
+      const promise = this.overviewManager.getCanvasRgba(level)
+        .then(async ({ width, height, rgba }) => ({ level, png: await encodePng(width, height, rgba) }));
+      this.canvasPng = { promise, renderedAt: now };
+      
+      // Don't keep serving a failed render
+      promise.catch(() => {
+        if (this.canvasPng?.promise === promise) {
+          this.canvasPng = null;
+        }
+      });
+    }
+    return this.canvasPng.promise;
+  }
+
   async handleMessage(ws, message) {
     try {
       const data = JSON.parse(Buffer.from(message).toString());
@@ -121,17 +551,56 @@ class PlaceServer {
         case 'set_pixel':
           await this.handleSetPixel(ws, data, clientId);
           break;
+        case 'hello':
+          this.handleHello(ws, data);
+          break;
+        case 'subscribe':
+          this.handleSubscribe(ws, data);
+          break;
+        case 'unsubscribe':
+          this.handleUnsubscribe(ws, data);
+          break;
+        case 'inspect_pixel':
+          await this.handleInspectPixel(ws, data);
+          break;
+        case 'replay':
+          await this.handleReplay(ws, data);
+          break;
         case 'get_tiles':
           await this.handleGetTiles(ws, data);
           break;
+        case 'resync':
+          await this.handleResync(ws, data);
+          break;
         case 'place_image':
           await this.handlePlaceImage(ws, data, clientId);
           break;
         case 'place_image_chunk':
           await this.handlePlaceImageChunk(ws, data, clientId);
           break;
+        case 'cancel_image_upload':
+          this.handleCancelImageUpload(ws, data);
+          break;
+        case 'pause_image':
+        case 'resume_image':
+        case 'cancel_image':
+          await this.handleImageJobControl(ws, data);
+          break;
+        case 'list_images':
+          await this.sendImageJobs(ws);
+          break;
+        case 'subscribe_template':
+          await this.handleSubscribeTemplate(ws, data);
+          break;
+        case 'unsubscribe_template':
+          this.handleUnsubscribeTemplate(ws, data);
+          break;
+        case 'admin':
+          await this.handleAdmin(ws, data);
+          break;
         case 'ping':
-          ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+          // Everything up to seq has already been sent to this client
+          ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now(), seq: this.lastBroadcastSeq }));
           break;
         default:
           console.warn(`Unknown message type: ${data.type}`);
@@ -142,11 +611,192 @@ class PlaceServer {
     }
   }
 
+  // Pixel updates are published per tile and per wire protocol, so one
+  // encoded frame can go to every subscriber of that tile as-is
+  getTileTopic(protocol, tileId) {
+    return `${protocol}/${tileId}`;
+  }
+
+  handleHello(ws, data) {
+    const protocol = negotiateProtocol(data);
+    if (protocol !== ws.protocol) {
+      // Move existing subscriptions over to the new protocol's topics
+      for (const tileId of ws.subscribedTiles) {
+        ws.unsubscribe(this.getTileTopic(ws.protocol, tileId));
+        ws.subscribe(this.getTileTopic(protocol, tileId));
+      }
+      ws.protocol = protocol;
+    }
+    ws.send(JSON.stringify({
+      type: 'hello',
+      protocol: ws.protocol,
+      version: PROTOCOL_VERSION
+    }));
+  }
+
+  handleSubscribe(ws, data) {
+    const { tiles } = data;
+    
+    if (!Array.isArray(tiles)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid subscription request' }));
+      return;
+    }
+
+    for (const tileId of tiles) {
+      if (ws.subscribedTiles.has(tileId) || !this.tileManager.parseTileId(tileId)) {
+        continue;
+      }
+      if (ws.subscribedTiles.size >= MAX_SUBSCRIBED_TILES) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Too many tile subscriptions' }));
+        return;
+      }
+      ws.subscribe(this.getTileTopic(ws.protocol, tileId));
+      ws.subscribedTiles.add(tileId);
+    }
+  }
+
+  handleUnsubscribe(ws, data) {
+    const { tiles } = data;
+    
+    if (!Array.isArray(tiles)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid subscription request' }));
+      return;
+    }
+
+    for (const tileId of tiles) {
+      if (ws.subscribedTiles.delete(tileId)) {
+        ws.unsubscribe(this.getTileTopic(ws.protocol, tileId));
+      }
+    }
+  }
+
+  isAdmin(token) {
+    if (!ADMIN_TOKEN || typeof token !== 'string') return false;
+    
+    const expected = Buffer.from(ADMIN_TOKEN);
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async handleAdmin(ws, data) {
+    if (!this.isAdmin(data.token)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Not authorized' }));
+      return;
+    }
+
+    switch (data.action) {
+      case 'expand_canvas':
+        await this.handleExpandCanvas(ws, data);
+        break;
+      case 'list_snapshots':
+        await this.handleListSnapshots(ws);
+        break;
+      case 'save_snapshot':
+        await this.handleSaveSnapshot(ws);
+        break;
+      case 'rollback':
+        await this.handleRollback(ws, data);
+        break;
+      default:
+        ws.send(JSON.stringify({ type: 'error', message: 'Unknown admin action' }));
+    }
+  }
+
+  async handleExpandCanvas(ws, data) {
+    const { width, height } = data;
+    const info = this.tileManager.getTileInfo();
+    
+    if (!Number.isInteger(width) || !Number.isInteger(height) ||
+        width < info.canvasWidth || height < info.canvasHeight ||
+        width > MAX_CANVAS_SIZE || height > MAX_CANVAS_SIZE) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid canvas size' }));
+      return;
+    }
+
+    try {
+      const expanded = await this.tileManager.expandCanvas(width, height);
+      console.log(`Canvas expanded to ${expanded.canvasWidth}x${expanded.canvasHeight}`);
+      
+      // Let every instance (including this one) pick up the new size
+      await this.redisPub.publish('canvas:control', JSON.stringify({ type: 'canvas_info', ...this.getCanvasInfo() }));
+    } catch (error) {
+      console.error('Error expanding canvas:', error);
+      ws.send(JSON.stringify({ type: 'error', message: 'Failed to expand canvas' }));
+    }
+  }
+
+  async handleListSnapshots(ws) {
+    try {
+      const snapshots = await this.snapshotStore.list();
+      ws.send(JSON.stringify({ type: 'snapshots', snapshots }));
+    } catch (error) {
+      console.error('Error listing snapshots:', error);
+      ws.send(JSON.stringify({ type: 'error', message: 'Failed to list snapshots' }));
+    }
+  }
+
+  async handleSaveSnapshot(ws) {
+    const snapshotId = await this.saveSnapshot();
+    if (snapshotId) {
+      ws.send(JSON.stringify({ type: 'snapshot_saved', snapshotId: snapshotId.toString() }));
+    } else {
+      ws.send(JSON.stringify({ type: 'error', message: 'Failed to save snapshot' }));
+    }
+  }
+
+  async handleRollback(ws, data) {
+    const { snapshotId } = data;
+    
+    if (typeof snapshotId !== 'string' || !ObjectId.isValid(snapshotId)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid snapshot id' }));
+      return;
+    }
+
+    try {
+      const restored = await this.snapshotStore.restore(snapshotId);
+      console.log(`Canvas rolled back to snapshot ${restored.id} (${restored.tiles} tiles)`);
+      await this.overviewManager.markAllDirty();
+
+      // Everyone's loaded tiles are now stale, including those of clients
+      // that are offline right now and will ask to resync later
+      const seq = await this.updateSequencer.reset();
+      await this.redisPub.publish('canvas:control', JSON.stringify({
+        type: 'canvas_reload',
+        seq,
+        snapshotId: restored.id,
+        createdAt: restored.createdAt
+      }));
+      ws.send(JSON.stringify({ type: 'rollback_complete', ...restored }));
+    } catch (error) {
+      console.error('Error rolling back canvas:', error);
+      ws.send(JSON.stringify({ type: 'error', message: 'Rollback failed' }));
+    }
+  }
+
+  handleControlMessage(message) {
+    const data = JSON.parse(message);
+    
+    if (data.type === 'canvas_info') {
+      this.tileManager.resize(data.canvasWidth, data.canvasHeight);
+    } else if (data.type === 'canvas_reload') {
+      this.refreshTemplates();
+    }
+    
+    if (this.app) {
+      this.app.publish('broadcast', message);
+    }
+  }
+
   async handleSetPixel(ws, data, clientId) {
     const { x, y, color } = data;
     
+    if (!this.canPlace(ws)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Log in to place pixels' }));
+      return;
+    }
+    
     // Validate coordinates
-    if (x < 0 || x >= CANVAS_WIDTH || y < 0 || y >= CANVAS_HEIGHT) {
+    if (!this.tileManager.isInBounds(x, y)) {
       ws.send(JSON.stringify({ type: 'error', message: 'Coordinates out of bounds' }));
       return;
     }
@@ -158,31 +808,19 @@ class PlaceServer {
     }
 
     // Rate limiting
-    const rateLimitKey = `rate_limit:${ws.remoteAddress || clientId}`;
-    const isAllowed = await this.rateLimiter.checkPixelRateLimit(rateLimitKey);
-    if (!isAllowed) {
+    const { allowed, ...cooldown } = await this.rateLimiter.consume('pixel', this.getRateLimitTier(ws), ws.userKey);
+    this.sendCooldown(ws, cooldown);
+    if (!allowed) {
       ws.send(JSON.stringify({ type: 'error', message: 'Rate limit exceeded' }));
       return;
     }
 
     try {
       // Update tile and broadcast
-      const success = await this.tileManager.setPixel(x, y, color);
-      if (success) {
-        // Publish update to Redis pub/sub
-        const update = {
-          type: 'pixel_update',
-          x,
-          y,
-          color,
-          timestamp: Date.now(),
-          clientId
-        };
-        
-        await this.redisPub.publish('canvas:updates', JSON.stringify(update));
-        
+      const [update] = await this.placePixels([{ x, y, color }], { clientId, userKey: ws.userKey, user: ws.userId });
+      if (update) {
         // Confirm to sender
-        ws.send(JSON.stringify({ type: 'pixel_set', x, y, color }));
+        ws.send(JSON.stringify({ type: 'pixel_set', x, y, color: update.color }));
       } else {
         ws.send(JSON.stringify({ type: 'error', message: 'Failed to set pixel' }));
       }
@@ -192,282 +830,997 @@ class PlaceServer {
     }
   }
 
-  async handleGetTiles(ws, data) {
-    const { tileIds } = data;
+  // Tell a client how many pixels it has left and when it may place the next
+  // one. `retryIn` is relative, so client clock skew doesn't matter.
+  getCooldownMessage({ remaining, nextAllowedAt }) {
+    return {
+      type: 'cooldown',
+      remaining,
+      nextAllowedAt,
+      retryIn: Math.max(0, nextAllowedAt - Date.now())
+    };
+  }
+
+  sendCooldown(ws, cooldown) {
+    if (!this.clients.has(ws.clientId)) return;
+
+    ws.send(JSON.stringify(this.getCooldownMessage(cooldown)));
+  }
+
+  // Write pixels, then record and broadcast the ones that made it.
+  // Returns the accepted updates.
+  async placePixels(pixels, { clientId, userKey, user = null, fromImage = false }) {
+    const results = await this.tileManager.setPixels(pixels);
+    const timestamp = Date.now();
+    const updates = [];
+
+    pixels.forEach(({ x, y, color }, i) => {
+      if (!results[i]) return;
+
+      // Broadcast the color as stored, which may be snapped to the palette
+      const update = { x, y, color: this.tileManager.normalizeColor(color), timestamp, clientId };
+      if (user) {
+        update.user = user;
+      }
+      if (fromImage) {
+        update.fromImage = true;
+      }
+      updates.push(update);
+
+      // Queue update for the next batched broadcast
+      this.updateAggregator.add(update);
+    });
+
+    await Promise.all([
+      this.provenanceStore.record(
+        updates.map(({ x, y }) => ({ x, y, placedBy: clientId, userKey, user, timestamp }))
+      ),
+      this.eventLog.append(updates).catch((error) => {
+        console.error('Error appending to event log:', error);
+      }),
+      this.overviewManager.markDirty(updates)
+    ]);
+
+    return updates;
+  }
+
+  async handleInspectPixel(ws, data) {
+    const { x, y } = data;
     
-    if (!Array.isArray(tileIds)) {
-      ws.send(JSON.stringify({ type: 'error', message: 'Invalid tile request' }));
+    if (!this.tileManager.isInBounds(x, y)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Coordinates out of bounds' }));
       return;
     }
 
     try {
-      const tiles = await this.tileManager.getTiles(tileIds);
-      ws.send(JSON.stringify({
-        type: 'tiles',
-        tiles
-      }));
+      const record = await this.provenanceStore.inspect(x, y);
+      const info = {
+        type: 'pixel_info',
+        x,
+        y,
+        placedBy: record ? record.placedBy : null,
+        user: record?.user || null,
+        timestamp: record ? record.timestamp : null
+      };
+      // A userKey can hold the placer's address, so only admins see it
+      if (this.isAdmin(data.token)) {
+        info.userKey = record?.userKey || null;
+      }
+      ws.send(JSON.stringify(info));
     } catch (error) {
-      console.error('Error getting tiles:', error);
-      ws.send(JSON.stringify({ type: 'error', message: 'Failed to get tiles' }));
+      console.error('Error inspecting pixel:', error);
+      ws.send(JSON.stringify({ type: 'error', message: 'Failed to inspect pixel' }));
     }
   }
 
-  async handlePlaceImage(ws, data, clientId) {
-    console.log('Received place_image request:', { 
-      startX: data.startX, 
-      startY: data.startY, 
-      pixelCount: data.pixels?.length,
-      clientId 
-    });
-    
-    const { startX, startY, pixels } = data;
-    
-    // Validate input
-    if (!Array.isArray(pixels) || pixels.length === 0) {
-      console.error('Invalid pixels array:', pixels);
-      ws.send(JSON.stringify({ type: 'error', message: 'Invalid image data' }));
+  // Streams every placement between two timestamps (ms) in pages, oldest
+  // first, then a replay_complete with the total. Admins only, one replay per
+  // socket at a time, since a long range reads a lot of history.
+  async handleReplay(ws, data) {
+    const { token, from, to } = data;
+
+    if (!this.isAdmin(token)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Not authorized' }));
       return;
     }
-
-    if (!Number.isInteger(startX) || !Number.isInteger(startY)) {
-      ws.send(JSON.stringify({ type: 'error', message: 'Invalid start coordinates' }));
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid replay range' }));
       return;
     }
-
-    // Check if user already has an active image drawing
-    const userKey = ws.remoteAddress || clientId;
-    if (this.activeImageDrawings.has(userKey)) {
-      ws.send(JSON.stringify({ type: 'error', message: 'Already drawing an image. Please wait.' }));
+    if (ws.replaying) {
+      ws.send(JSON.stringify({ type: 'error', message: 'A replay is already running' }));
       return;
     }
 
-    // Validate all pixels are within bounds
-    for (const pixel of pixels) {
-      // Handle both object format {x, y, color} and array format [x, y, color]
-      const px = Array.isArray(pixel) ? pixel[0] : pixel.x;
-      const py = Array.isArray(pixel) ? pixel[1] : pixel.y;
-      const color = Array.isArray(pixel) ? pixel[2] : pixel.color;
-      
-      const finalX = startX + px;
-      const finalY = startY + py;
-      
-      if (finalX < 0 || finalX >= CANVAS_WIDTH || finalY < 0 || finalY >= CANVAS_HEIGHT) {
-        ws.send(JSON.stringify({ type: 'error', message: 'Image extends outside canvas bounds' }));
-        return;
+    ws.replaying = true;
+    let count = 0;
+    try {
+      for await (const events of this.eventLog.replay(from, to)) {
+        // Don't pile up more than the client can take
+        while (ws.getBufferedAmount() > REPLAY_MAX_BUFFERED) {
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+
+        ws.send(JSON.stringify({
+          type: 'replay_events',
+          events: events.map(({ _id, seq, ...event }) => ({ id: _id, ...event }))
+        }));
+        count += events.length;
       }
 
-      // Validate color format
-      if (!/^#[0-9a-fA-F]{6}$/.test(color)) {
-        ws.send(JSON.stringify({ type: 'error', message: 'Invalid color format in image' }));
-        return;
+      ws.send(JSON.stringify({ type: 'replay_complete', from, to, count }));
+    } catch (error) {
+      // Also ends up here if the client went away mid-replay
+      console.error('Error replaying events:', error);
+      try {
+        ws.send(JSON.stringify({ type: 'error', message: 'Replay failed' }));
+      } catch {
+        // Socket already closed
       }
+    } finally {
+      ws.replaying = false;
     }
+  }
 
-    // Rate limiting for image placement (less strict than individual pixels)
-    const rateLimitKey = `image_rate_limit:${userKey}`;
-    const isAllowed = await this.rateLimiter.checkImageRateLimit(rateLimitKey);
-    if (!isAllowed) {
+  async archiveEvents() {
+    if (!this.eventLog) return;
+
+    try {
+      const archived = await this.eventLog.archive();
+      if (archived > 0) {
+        console.log(`Archived ${archived} placement events to MongoDB`);
+      }
+    } catch (error) {
+      console.error('Error archiving placement events:', error);
+    }
+  }
+
+  // Catch a reconnecting client up on the updates it missed in the tiles it
+  // has loaded, or tell it to refetch them when we no longer have them all
+  async handleResync(ws, data) {
+    const { lastSeq, tiles } = data;
+    
+    if (!Number.isInteger(lastSeq) || lastSeq < 0 || !Array.isArray(tiles)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid resync request' }));
+      return;
+    }
+
+    const tileIds = new Set(tiles.filter(tileId => this.tileManager.parseTileId(tileId)));
+    
+    try {
+      const { seq, updates } = tileIds.size > MAX_SUBSCRIBED_TILES
+        ? { seq: await this.updateSequencer.current(), updates: null }
+        : await this.updateSequencer.since(lastSeq, RESYNC_MAX_UPDATES);
+      
+      if (!updates) {
+        ws.send(JSON.stringify({ type: 'resync', seq, updates: [], refetch: [...tileIds] }));
+        return;
+      }
+
+      const missed = updates.filter(({ x, y }) => {
+        const { tileX, tileY } = this.tileManager.coordsToTile(x, y);
+        return tileIds.has(this.tileManager.getTileId(tileX, tileY));
+      });
+      ws.send(JSON.stringify({ type: 'resync', seq, updates: missed, refetch: [] }));
+    } catch (error) {
+      console.error('Error resyncing client:', error);
+      ws.send(JSON.stringify({ type: 'error', message: 'Resync failed' }));
+    }
+  }
+
+  async flushOverviews() {
+    if (this.flushingOverviews) return;
+    
+    this.flushingOverviews = true;
+    try {
+      await this.overviewManager.flush();
+    } catch (error) {
+      console.error('Error updating overview tiles:', error);
+    } finally {
+      this.flushingOverviews = false;
+    }
+  }
+
+  async handleGetTiles(ws, data) {
+    const { tileIds, level = 1 } = data;
+    
+    if (!Array.isArray(tileIds) || !this.isTileLevel(level)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid tile request' }));
+      return;
+    }
+
+    try {
+      if (level !== 1) {
+        const tiles = await this.overviewManager.getTiles(level, tileIds);
+        if (ws.protocol === 'binary') {
+          ws.send(encodeTiles(tiles, level), true);
+          return;
+        }
+
+        ws.send(JSON.stringify({
+          type: 'tiles',
+          level,
+          tiles: tiles.map(({ tileX, tileY, version, rgba }) => ({
+            tileX,
+            tileY,
+            version,
+            data: rgba.toString('base64')
+          }))
+        }));
+        return;
+      }
+
+      if (ws.protocol === 'binary') {
+        const tiles = await this.tileManager.getRawTiles(tileIds);
+        ws.send(encodeTiles(tiles, level), true);
+        return;
+      }
+
+      const tiles = await this.tileManager.getTiles(tileIds);
+      ws.send(JSON.stringify({
+        type: 'tiles',
+        level,
+        tiles
+      }));
+    } catch (error) {
+      console.error('Error getting tiles:', error);
+      ws.send(JSON.stringify({ type: 'error', message: 'Failed to get tiles' }));
+    }
+  }
+
+  // Image pixels come as [x, y, color] or { x, y, color }, relative to
+  // (startX, startY). Returns them as { x, y, color } in canvas coordinates,
+  // or an error message for the first bad one.
+  parseImagePixels(pixels, startX, startY) {
+    const parsed = [];
+    for (const pixel of pixels) {
+      if (!pixel || typeof pixel !== 'object') {
+        return { error: 'Invalid image data' };
+      }
+      const [px, py, color] = Array.isArray(pixel) ? pixel : [pixel.x, pixel.y, pixel.color];
+      
+      if (!Number.isInteger(px) || !Number.isInteger(py) ||
+          !this.tileManager.isInBounds(startX + px, startY + py)) {
+        return { error: 'Image extends outside canvas bounds' };
+      }
+      if (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+        return { error: 'Invalid color format in image' };
+      }
+      parsed.push({ x: startX + px, y: startY + py, color });
+    }
+    return { pixels: parsed };
+  }
+
+  async handlePlaceImage(ws, data, clientId) {
+    console.log('Received place_image request:', { 
+      startX: data.startX, 
+      startY: data.startY, 
+      pixelCount: data.pixels?.length,
+      clientId 
+    });
+    
+    const { startX, startY, pixels, order = 'row' } = data;
+    
+    if (!this.canPlace(ws)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Log in to place images' }));
+      return;
+    }
+
+    if (!PIXEL_ORDERS.includes(order)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid pixel order' }));
+      return;
+    }
+    
+    // Validate input
+    if (!Array.isArray(pixels) || pixels.length === 0) {
+      console.error('Invalid pixels array:', pixels);
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid image data' }));
+      return;
+    }
+
+    if (pixels.length > MAX_IMAGE_PIXELS) {
+      ws.send(JSON.stringify({ type: 'error', message: `Images are limited to ${MAX_IMAGE_PIXELS} pixels` }));
+      return;
+    }
+
+    if (!Number.isInteger(startX) || !Number.isInteger(startY)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid start coordinates' }));
+      return;
+    }
+
+    const parsed = this.parseImagePixels(pixels, startX, startY);
+    if (parsed.error) {
+      ws.send(JSON.stringify({ type: 'error', message: parsed.error }));
+      return;
+    }
+
+    await this.startImageJob(ws, parsed.pixels, order, clientId);
+  }
+
+  // Queue a checked image, `pixels` being { x, y, color } in canvas
+  // coordinates
+  async startImageJob(ws, pixels, order, clientId) {
+    // Check if user already has an active image drawing
+    const { userKey } = ws;
+    if (await this.imageJobs.getOwnerJob(userKey)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Already drawing an image. Please wait.' }));
+      return;
+    }
+
+    // Rate limiting for image placement (less strict than individual pixels)
+    const { allowed } = await this.rateLimiter.consume('image', this.getRateLimitTier(ws), userKey);
+    if (!allowed) {
       ws.send(JSON.stringify({ type: 'error', message: 'Image upload rate limit exceeded' }));
       return;
     }
 
-    // Start drawing the image
-    this.startImageDrawing(ws, clientId, userKey, startX, startY, pixels);
+    // Queue the image, in the order it should be drawn; whichever server
+    // claims it first draws it
+    const job = await this.imageJobs.enqueue({
+      owner: userKey,
+      user: ws.userId,
+      tier: this.getRateLimitTier(ws),
+      clientId,
+      order,
+      pixels: orderPixels(pixels, order)
+    });
+    if (!job) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Already drawing an image. Please wait.' }));
+      return;
+    }
     
     // Confirm start
     ws.send(JSON.stringify({ 
       type: 'image_drawing_started', 
+      jobId: job.id,
       totalPixels: pixels.length,
+      pixelsPlaced: 0,
       estimatedSeconds: Math.ceil(pixels.length / 1000)
     }));
+    this.pollImageJobs();
   }
 
+  // Large images arrive in chunks. Every chunk is acked with the chunks
+  // still missing, so the client can resend what got lost, even over a new
+  // connection. Each chunk is checked and packed when it arrives; a bad one
+  // drops the whole upload. Uploads nobody touches for IMAGE_UPLOAD_TTL_MS
+  // are dropped too.
   async handlePlaceImageChunk(ws, data, clientId) {
-    const { imageId, chunkIndex, totalChunks, startX, startY, pixels } = data;
+    const { imageId, chunkIndex, totalChunks, startX, startY, order = 'row', pixels } = data;
     
-    console.log(`Received chunk ${chunkIndex + 1}/${totalChunks} for image ${imageId} (${pixels.length} pixels)`);
+    if (!this.canPlace(ws)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Log in to place images' }));
+      return;
+    }
     
     // Validate chunk data
-    if (!imageId || chunkIndex === undefined || !totalChunks || !Array.isArray(pixels)) {
+    if (typeof imageId !== 'string' || imageId.length === 0 || imageId.length > 64 ||
+        !Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > MAX_IMAGE_CHUNKS ||
+        !Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= totalChunks ||
+        !Number.isInteger(startX) || !Number.isInteger(startY) || !PIXEL_ORDERS.includes(order) ||
+        !Array.isArray(pixels) || pixels.length > MAX_IMAGE_PIXELS) {
       ws.send(JSON.stringify({ type: 'error', message: 'Invalid chunk data' }));
       return;
     }
     
-    const userKey = ws.remoteAddress || clientId;
+    // Upload ids are only unique per user
+    const { userKey } = ws;
+    const uploadKey = `${userKey}:${imageId}`;
+    let upload = this.imageUploads.get(uploadKey);
     
-    // Initialize chunk collection for this image
-    if (!this.imageChunks.has(imageId)) {
-      this.imageChunks.set(imageId, {
-        chunks: new Array(totalChunks),
+    if (!upload) {
+      const pending = [...this.imageUploads.values()]
+        .filter((other) => other.userKey === userKey && !other.completed);
+      if (pending.length >= MAX_PENDING_UPLOADS) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Too many image uploads in progress' }));
+        return;
+      }
+      
+      upload = {
+        imageId,
+        userKey,
+        chunks: new Array(totalChunks).fill(null), // Packed pixels of each chunk
         receivedChunks: 0,
+        receivedPixels: 0,
+        bytes: 0,
+        totalChunks,
         startX,
         startY,
-        userKey,
-        ws,
-        clientId,
-        timestamp: Date.now()
-      });
+        order,
+        completed: false,
+        updatedAt: Date.now()
+      };
+      this.imageUploads.set(uploadKey, upload);
     }
     
-    const chunkData = this.imageChunks.get(imageId);
-    
-    // Validate this chunk belongs to the same user
-    if (chunkData.userKey !== userKey) {
-      ws.send(JSON.stringify({ type: 'error', message: 'Chunk belongs to different user' }));
+    // Every chunk has to describe the same image
+    if (upload.totalChunks !== totalChunks || upload.startX !== startX ||
+        upload.startY !== startY || upload.order !== order) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Chunk does not match its image upload' }));
       return;
     }
     
-    // Store the chunk
-    if (!chunkData.chunks[chunkIndex]) {
-      chunkData.chunks[chunkIndex] = pixels;
-      chunkData.receivedChunks++;
+    upload.updatedAt = Date.now();
+    
+    // Store the chunk, unless it's a resend
+    const isNew = !upload.completed && !upload.chunks[chunkIndex];
+    if (isNew) {
+      const parsed = this.parseImagePixels(pixels, startX, startY);
+      if (parsed.error) {
+        this.dropImageUpload(uploadKey);
+        ws.send(JSON.stringify({ type: 'error', message: parsed.error }));
+        return;
+      }
       
-      // Send progress
-      ws.send(JSON.stringify({
-        type: 'image_chunk_received',
-        imageId,
-        chunksReceived: chunkData.receivedChunks,
-        totalChunks
-      }));
+      const chunk = encodePixels(parsed.pixels);
+      if (upload.receivedPixels + parsed.pixels.length > MAX_IMAGE_PIXELS ||
+          upload.bytes + chunk.length > MAX_IMAGE_UPLOAD_BYTES) {
+        this.dropImageUpload(uploadKey);
+        ws.send(JSON.stringify({ type: 'error', message: `Images are limited to ${MAX_IMAGE_PIXELS} pixels` }));
+        return;
+      }
+      if (this.imageUploadBytes + chunk.length > MAX_TOTAL_UPLOAD_BYTES) {
+        // Not the client's fault; it resends the chunk later
+        ws.send(JSON.stringify({ type: 'image_upload_busy', imageId, chunkIndex }));
+        return;
+      }
       
-      // Check if all chunks received
-      if (chunkData.receivedChunks === totalChunks) {
-        console.log(`All chunks received for image ${imageId}, assembling...`);
-        
-        // Assemble all chunks into one pixel array
-        const allPixels = [];
-        for (const chunk of chunkData.chunks) {
-          if (chunk) {
-            allPixels.push(...chunk);
-          }
+      upload.chunks[chunkIndex] = chunk;
+      upload.receivedChunks++;
+      upload.receivedPixels += parsed.pixels.length;
+      upload.bytes += chunk.length;
+      this.imageUploadBytes += chunk.length;
+    }
+    
+    // Ack, with whatever is still missing
+    const missing = [];
+    if (!upload.completed) {
+      upload.chunks.forEach((chunk, i) => {
+        if (!chunk) missing.push(i);
+      });
+    }
+    ws.send(JSON.stringify({
+      type: 'image_chunk_received',
+      imageId,
+      chunkIndex,
+      chunksReceived: totalChunks - missing.length,
+      totalChunks,
+      missing
+    }));
+    
+    if (!isNew || missing.length > 0) return;
+    
+    console.log(`All chunks received for image ${imageId}, assembling ${upload.receivedPixels} pixels`);
+    
+    // Assemble all chunks into one image, and keep the upload around
+    // (without its pixels) so late resends are still acked
+    const packed = Buffer.concat(upload.chunks);
+    this.releaseImageUpload(upload);
+    upload.completed = true;
+    
+    if (upload.receivedPixels === 0) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid image data' }));
+      return;
+    }
+    await this.startImageJob(ws, decodePixels(packed, 0, upload.receivedPixels), upload.order, clientId);
+  }
+
+  // The client gave up on an upload (or is starting over), so it needn't
+  // wait for it to expire
+  handleCancelImageUpload(ws, data) {
+    const { imageId } = data;
+    if (typeof imageId !== 'string') {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid chunk data' }));
+      return;
+    }
+    
+    this.dropImageUpload(`${ws.userKey}:${imageId}`);
+    ws.send(JSON.stringify({ type: 'image_upload_cancelled', imageId }));
+  }
+
+  // Free an upload's chunks
+  releaseImageUpload(upload) {
+    this.imageUploadBytes -= upload.bytes;
+    upload.bytes = 0;
+    upload.chunks = null;
+  }
+
+  dropImageUpload(uploadKey) {
+    const upload = this.imageUploads.get(uploadKey);
+    if (!upload) return;
+    
+    this.releaseImageUpload(upload);
+    this.imageUploads.delete(uploadKey);
+  }
+
+  // Drop uploads that stopped receiving chunks
+  expireImageUploads() {
+    const cutoff = Date.now() - IMAGE_UPLOAD_TTL_MS;
+    for (const [uploadKey, upload] of this.imageUploads) {
+      if (upload.updatedAt < cutoff) {
+        this.dropImageUpload(uploadKey);
+        if (!upload.completed) {
+          console.log(`Expired incomplete image upload ${upload.imageId} (${upload.receivedChunks}/${upload.totalChunks} chunks)`);
         }
-        
-        console.log(`Assembled image: ${allPixels.length} pixels`);
-        
-        // Clean up chunk data
-        this.imageChunks.delete(imageId);
-        
-        // Process as a regular image
-        await this.handlePlaceImage(ws, {
-          startX: chunkData.startX,
-          startY: chunkData.startY,
-          pixels: allPixels
-        }, clientId);
       }
     }
   }
 
-  startImageDrawing(ws, clientId, userKey, startX, startY, pixels) {
-    const drawingId = `${userKey}_${Date.now()}`;
-    
+  // Renew the leases on the jobs we are drawing and claim more if we have
+  // room. Jobs whose servers went away are picked up here.
+  async pollImageJobs() {
+    if (this.pollingImageJobs || !this.app) return;
+    this.pollingImageJobs = true;
+
+    try {
+      for (const drawingProcess of this.drawingJobs.values()) {
+        if (!(await this.imageJobs.renewLease(drawingProcess.job.id))) {
+          console.log(`Lost the lease on image job ${drawingProcess.job.id}`);
+          this.stopImageDrawing(drawingProcess);
+        }
+      }
+
+      const claimed = await this.imageJobs.claim(MAX_DRAWING_JOBS - this.drawingJobs.size);
+      for (const id of claimed) {
+        const [job, pixels] = await Promise.all([this.imageJobs.getJob(id), this.imageJobs.getPixels(id)]);
+        if (!job || !pixels) {
+          // Finished while we were claiming it
+          await this.imageJobs.releaseLease(id);
+          continue;
+        }
+        this.startImageDrawing(job, pixels);
+      }
+    } catch (error) {
+      console.error('Error polling image jobs:', error);
+    } finally {
+      this.pollingImageJobs = false;
+    }
+  }
+
+  // Draw an image job in batches, spending from the same pixel budget as
+  // set_pixel. When the budget runs out the drawing pauses until it refills.
+  startImageDrawing(job, pixels) {
+    if (job.cursor > 0) {
+      console.log(`Resuming image job ${job.id} at ${job.cursor}/${job.totalPixels}`);
+    }
+
     const drawingProcess = {
-      ws,
-      clientId,
+      job,
       pixels,
-      startX,
-      startY,
-      currentIndex: 0,
-      totalPixels: pixels.length,
-      intervalId: null
+      currentIndex: job.cursor,
+      skipped: job.skipped, // Pixels before currentIndex that already had their color
+      totalPixels: job.totalPixels,
+      intervalId: null,
+      busy: false,
+      pausedFor: null, // 'budget' or 'user' while paused
+      resumeAt: 0, // Skip ticks until then while paused
+      lastReportAt: 0
     };
 
-    this.activeImageDrawings.set(userKey, drawingProcess);
+    this.drawingJobs.set(job.id, drawingProcess);
 
-    // Process pixels in batches of 50 at 50ms intervals (1000 pixels per second)
-    const batchSize = 50;
+    // Process up to 50 pixels every 50ms (1000 pixels per second) as the budget allows
     drawingProcess.intervalId = setInterval(async () => {
-      if (drawingProcess.currentIndex >= drawingProcess.totalPixels) {
-        // Drawing complete
-        clearInterval(drawingProcess.intervalId);
-        this.activeImageDrawings.delete(userKey);
-        
-        if (ws.readyState === ws.OPEN) {
-          ws.send(JSON.stringify({ 
-            type: 'image_drawing_complete',
-            pixelsPlaced: drawingProcess.totalPixels
-          }));
-        }
-        return;
+      // Skip ticks while the previous batch is still going or the budget is empty
+      if (drawingProcess.busy || Date.now() < drawingProcess.resumeAt) return;
+      drawingProcess.busy = true;
+
+      try {
+        await this.drawImageBatch(drawingProcess);
+      } catch (error) {
+        console.error('Error placing image pixels:', error);
+      } finally {
+        drawingProcess.busy = false;
       }
+    }, IMAGE_BATCH_INTERVAL_MS);
+  }
 
-      // Process a batch of pixels
-      const endIndex = Math.min(drawingProcess.currentIndex + batchSize, drawingProcess.totalPixels);
-      const pixelUpdates = [];
-
-      for (let i = drawingProcess.currentIndex; i < endIndex; i++) {
-        const pixel = drawingProcess.pixels[i];
-        // Handle both object format {x, y, color} and array format [x, y, color]
-        const px = Array.isArray(pixel) ? pixel[0] : pixel.x;
-        const py = Array.isArray(pixel) ? pixel[1] : pixel.y;
-        const color = Array.isArray(pixel) ? pixel[2] : pixel.color;
-        
-        const finalX = startX + px;
-        const finalY = startY + py;
-
-        try {
-          const success = await this.tileManager.setPixel(finalX, finalY, color);
-          if (success) {
-            pixelUpdates.push({
-              type: 'pixel_update',
-              x: finalX,
-              y: finalY,
-              color: color,
-              timestamp: Date.now(),
-              clientId,
-              fromImage: true
-            });
-          }
-        } catch (error) {
-          console.error('Error placing image pixel:', error);
-        }
+  stopImageDrawing(drawingProcess) {
+    clearInterval(drawingProcess.intervalId);
+    this.drawingJobs.delete(drawingProcess.job.id);
+  }
+
+  async drawImageBatch(drawingProcess) {
+    const { job } = drawingProcess;
+
+    // The owner may have paused or cancelled it from any server
+    const status = await this.imageJobs.getStatus(job.id);
+    if (this.drawingJobs.get(job.id) !== drawingProcess) return;
+    if (!status) {
+      this.stopImageDrawing(drawingProcess);
+      return;
+    }
+    if (status === 'paused') {
+      drawingProcess.pausedFor = 'user';
+      drawingProcess.resumeAt = Date.now() + IMAGE_JOB_POLL_INTERVAL_MS;
+      return;
+    }
+
+    if (drawingProcess.currentIndex >= drawingProcess.totalPixels) {
+      // Drawing complete
+      this.stopImageDrawing(drawingProcess);
+      await this.imageJobs.remove(job);
+      await this.imageJobs.publish(job.owner, {
+        type: 'image_drawing_complete',
+        jobId: job.id,
+        ...this.getImageProgress(drawingProcess)
+      });
+      return;
+    }
+
+    // Look ahead for pixels that don't have their color yet. Checking right
+    // before writing means pixels someone else already painted the right
+    // color, or an earlier copy of the same image, cost nothing.
+    const scanEnd = Math.min(drawingProcess.currentIndex + IMAGE_SCAN_SIZE, drawingProcess.totalPixels);
+    const candidates = decodePixels(drawingProcess.pixels, drawingProcess.currentIndex, scanEnd);
+    const current = await this.tileManager.getPixels(candidates);
+    
+    const needed = []; // Indexes into candidates
+    let scanned = 0;
+    while (scanned < candidates.length && needed.length < IMAGE_BATCH_SIZE) {
+      const { color } = candidates[scanned];
+      if (current[scanned] !== null && current[scanned] !== this.tileManager.normalizeColor(color)) {
+        needed.push(scanned);
       }
+      scanned++;
+    }
 
-      // Publish all updates in batch
-      for (const update of pixelUpdates) {
-        try {
-          await this.redisPub.publish('canvas:updates', JSON.stringify(update));
-        } catch (error) {
-          console.error('Error publishing pixel update:', error);
-        }
+    let granted = 0;
+    let cooldown = null;
+    if (needed.length > 0) {
+      ({ granted, ...cooldown } = await this.rateLimiter.take('pixel', job.tier, job.owner, needed.length));
+    }
+    
+    // The lease may have been lost while we waited on Redis
+    if (this.drawingJobs.get(job.id) !== drawingProcess) return;
+
+    if (needed.length > 0 && granted === 0) {
+      drawingProcess.resumeAt = cooldown.nextAllowedAt;
+      if (drawingProcess.pausedFor !== 'budget') {
+        drawingProcess.pausedFor = 'budget';
+        await this.imageJobs.publish(job.owner, {
+          type: 'image_drawing_paused',
+          jobId: job.id,
+          reason: 'budget',
+          ...this.getImageProgress(drawingProcess),
+          retryIn: Math.max(0, cooldown.nextAllowedAt - Date.now())
+        });
+        await this.imageJobs.publish(job.owner, this.getCooldownMessage(cooldown));
+      }
+      return;
+    }
+
+    // A resume by the owner was already announced by handleImageJobControl
+    if (drawingProcess.pausedFor === 'budget') {
+      await this.imageJobs.publish(job.owner, { type: 'image_drawing_resumed', jobId: job.id });
+    }
+    drawingProcess.pausedFor = null;
+    drawingProcess.resumeAt = 0;
+
+    // With only part of the budget we need, stop right after the last pixel
+    // we can pay for
+    if (granted < needed.length) {
+      scanned = needed[granted - 1] + 1;
+    }
+    const batch = needed.slice(0, granted).map((i) => candidates[i]);
+
+    // Write the batch, then move the job's cursor past it. If we crash in
+    // between, whoever picks the job up checks the batch again.
+    let placed = batch.length;
+    if (batch.length > 0) {
+      const updates = await this.placePixels(batch, {
+        clientId: job.clientId,
+        userKey: job.owner,
+        user: job.user,
+        fromImage: true
+      });
+
+      // Updates come back in batch order, minus pixels that failed to
+      // write. Stop the cursor at the first of those and retry from there
+      // a little later, so failed pixels are neither lost nor counted as
+      // skipped.
+      placed = batch.findIndex((pixel, i) => updates[i]?.x !== pixel.x || updates[i]?.y !== pixel.y);
+      if (placed !== -1) {
+        console.warn(`Image job ${job.id}: ${batch.length - updates.length} pixels failed to write, retrying`);
+        scanned = needed[placed];
+        drawingProcess.resumeAt = Date.now() + IMAGE_JOB_POLL_INTERVAL_MS;
+      } else {
+        placed = batch.length;
+      }
+    }
+    const currentIndex = drawingProcess.currentIndex + scanned;
+    const skipped = drawingProcess.skipped + scanned - placed;
+    await this.imageJobs.setCursor(job.id, currentIndex, skipped);
+    drawingProcess.currentIndex = currentIndex;
+    drawingProcess.skipped = skipped;
+
+    // Report progress and the budget left at most a couple of times a second
+    const now = Date.now();
+    if (now - drawingProcess.lastReportAt >= IMAGE_PROGRESS_INTERVAL_MS) {
+      drawingProcess.lastReportAt = now;
+      await this.imageJobs.publish(job.owner, {
+        type: 'image_drawing_progress',
+        jobId: job.id,
+        ...this.getImageProgress(drawingProcess)
+      });
+      if (cooldown) {
+        await this.imageJobs.publish(job.owner, this.getCooldownMessage(cooldown));
       }
+    }
+  }
 
-      drawingProcess.currentIndex = endIndex;
+  getImageProgress({ currentIndex, skipped, totalPixels }) {
+    return {
+      pixelsPlaced: currentIndex - skipped,
+      pixelsSkipped: skipped,
+      totalPixels,
+      progress: Math.round((currentIndex / totalPixels) * 100)
+    };
+  }
 
-      // Send progress update every 500 pixels
-      if (drawingProcess.currentIndex % 500 === 0 && ws.readyState === ws.OPEN) {
-        ws.send(JSON.stringify({
-          type: 'image_drawing_progress',
-          pixelsPlaced: drawingProcess.currentIndex,
-          totalPixels: drawingProcess.totalPixels,
-          progress: Math.round((drawingProcess.currentIndex / drawingProcess.totalPixels) * 100)
-        }));
+  // Pass a job event on to the owner's sockets on this server
+  forwardImageJobEvent(event) {
+    const { owner, message } = JSON.parse(event);
+    const data = JSON.stringify(message);
+
+    // If we are drawing the job, act on the owner's controls right away
+    // rather than on the next status check
+    const drawingProcess = message.jobId && this.drawingJobs.get(message.jobId);
+    if (drawingProcess) {
+      if (message.type === 'image_drawing_cancelled') {
+        this.stopImageDrawing(drawingProcess);
+      } else if (message.type === 'image_drawing_resumed' && drawingProcess.pausedFor === 'user') {
+        drawingProcess.resumeAt = 0;
       }
-    }, 50); // 50ms intervals with 50 pixels each = 1000 pixels/second
+    }
+
+    for (const ws of this.clients.values()) {
+      if (ws.userKey === owner) {
+        ws.send(data);
+      }
+    }
+  }
+
+  // List the client's unfinished images. Also sent on connect, so a client
+  // picks up the progress of images it started before reconnecting.
+  async sendImageJobs(ws) {
+    try {
+      const jobs = await this.imageJobs.listOwnerJobs(ws.userKey);
+      if (this.clients.has(ws.clientId)) {
+        ws.send(JSON.stringify({ type: 'image_jobs', jobs: jobs.map(describeJob) }));
+      }
+    } catch (error) {
+      console.error('Error listing image jobs:', error);
+    }
+  }
+
+  // pause_image, resume_image and cancel_image, for the sender's own jobs.
+  // Announced to all of the owner's sockets and to the server drawing it.
+  async handleImageJobControl(ws, data) {
+    const { jobId } = data;
+    if (typeof jobId !== 'string') {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid image job' }));
+      return;
+    }
+
+    let found;
+    let message;
+    if (data.type === 'cancel_image') {
+      const job = await this.imageJobs.cancel(jobId, ws.userKey);
+      found = Boolean(job);
+      if (job) {
+        const { pixelsPlaced, pixelsSkipped } = describeJob(job);
+        message = { type: 'image_drawing_cancelled', jobId, pixelsPlaced, pixelsSkipped };
+      }
+    } else {
+      const paused = data.type === 'pause_image';
+      found = await this.imageJobs.setStatus(jobId, ws.userKey, paused ? 'paused' : 'active');
+      message = paused
+        ? { type: 'image_drawing_paused', jobId, reason: 'user' }
+        : { type: 'image_drawing_resumed', jobId };
+    }
+
+    if (!found) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Image job not found' }));
+      return;
+    }
+
+    console.log(`Image job ${jobId}: ${data.type} by ${ws.userKey}`);
+    await this.imageJobs.publish(ws.userKey, message);
+  }
+
+  getTemplateTopic(templateId) {
+    return `template/${templateId}`;
+  }
+
+  // Follow a shared template's completion. The client gets a
+  // template_status right away and a template_progress whenever updates
+  // damage or fix some of its pixels.
+  async handleSubscribeTemplate(ws, data) {
+    const { templateId } = data;
+    if (!isTemplateId(templateId)) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid template' }));
+      return;
+    }
+    if (ws.templates.has(templateId)) {
+      return;
+    }
+    if (ws.templates.size >= MAX_FOLLOWED_TEMPLATES) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Too many template subscriptions' }));
+      return;
+    }
+
+    const subscription = { following: false };
+    ws.templates.set(templateId, subscription);
+    let status;
+    try {
+      status = await this.templateTracker.follow(templateId);
+    } catch (error) {
+      console.error(`Error loading template ${templateId}:`, error);
+      status = null;
+    }
+    const connected = this.clients.has(ws.clientId);
+    
+    if (!status) {
+      if (ws.templates.get(templateId) === subscription) {
+        ws.templates.delete(templateId);
+      }
+      if (connected) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Template not found' }));
+      }
+      return;
+    }
+    // The client left or unsubscribed (and maybe resubscribed) while the
+    // template was loading
+    if (!connected || ws.templates.get(templateId) !== subscription) {
+      this.templateTracker.unfollow(templateId);
+      return;
+    }
+
+    subscription.following = true;
+    ws.subscribe(this.getTemplateTopic(templateId));
+    ws.send(JSON.stringify(this.getTemplateStatusMessage(templateId)));
+  }
+
+  // Completion of a followed template, with the first pixels still to fix so
+  // followers who arrive late can see where it's damaged
+  getTemplateStatusMessage(templateId) {
+    return {
+      type: 'template_status',
+      templateId,
+      ...this.templateTracker.getStatus(templateId),
+      mismatched: this.templateTracker.getMismatches(templateId, MAX_TEMPLATE_MISMATCHES)
+    };
+  }
+
+  handleUnsubscribeTemplate(ws, data) {
+    const { templateId } = data;
+    const subscription = ws.templates.get(templateId);
+    ws.templates.delete(templateId);
+    if (subscription?.following) {
+      ws.unsubscribe(this.getTemplateTopic(templateId));
+      this.templateTracker.unfollow(templateId);
+    }
+  }
+
+  // Tell each followed template's followers what a batch of updates did to it
+  updateTemplates(updates) {
+    for (const [templateId, { damaged, fixed }] of this.templateTracker.apply(updates)) {
+      this.app.publish(this.getTemplateTopic(templateId), JSON.stringify({
+        type: 'template_progress',
+        templateId,
+        ...this.templateTracker.getStatus(templateId),
+        damaged,
+        fixed
+      }));
+    }
+  }
+
+  // After a rollback every followed template starts over from the canvas
+  async refreshTemplates() {
+    try {
+      await this.templateTracker.reloadAll();
+    } catch (error) {
+      console.error('Error refreshing templates:', error);
+      return;
+    }
+
+    for (const templateId of this.templateTracker.followedIds()) {
+      this.app.publish(this.getTemplateTopic(templateId), JSON.stringify(this.getTemplateStatusMessage(templateId)));
+    }
+  }
+
+  // Hand our jobs back on shutdown so another server can carry on right away
+  async releaseImageJobs() {
+    const drawing = [...this.drawingJobs.values()];
+    for (const drawingProcess of drawing) {
+      this.stopImageDrawing(drawingProcess);
+    }
+    await Promise.all(drawing.map(({ job }) => this.imageJobs.releaseLease(job.id)));
   }
 
   broadcastUpdate(message) {
-    if (this.clients.size === 0) return;
+    if (!this.app) return;
+
+    const { seq, updates } = JSON.parse(message);
 
-    const updateBuffer = Buffer.from(message);
-    this.clients.forEach((ws) => {
+    // Route each update to the tile it falls in
+    const updatesByTile = new Map();
+    for (const update of updates) {
+      const { tileX, tileY } = this.tileManager.coordsToTile(update.x, update.y);
+      const tileId = this.tileManager.getTileId(tileX, tileY);
+      if (!updatesByTile.has(tileId)) {
+        updatesByTile.set(tileId, []);
+      }
+      updatesByTile.get(tileId).push(update);
+    }
+
+    for (const [tileId, tileUpdates] of updatesByTile) {
       try {
-        ws.send(updateBuffer);
+        // Only encode for protocols someone is actually listening with
+        const jsonTopic = this.getTileTopic('json', tileId);
+        if (this.app.numSubscribers(jsonTopic) > 0) {
+          this.app.publish(jsonTopic, JSON.stringify({ type: 'pixel_updates', seq, updates: tileUpdates }));
+        }
+
+        const binaryTopic = this.getTileTopic('binary', tileId);
+        if (this.app.numSubscribers(binaryTopic) > 0) {
+          this.app.publish(binaryTopic, encodePixelUpdates(tileUpdates, seq), true);
+        }
       } catch (error) {
-        console.error('Error broadcasting to client:', error);
+        console.error('Error broadcasting tile updates:', error);
       }
-    });
+    }
+    this.updateTemplates(updates);
+    
+    this.lastBroadcastSeq = seq;
   }
 
   async saveSnapshot() {
+    if (!this.snapshotStore) return null;
+
     try {
-      const snapshot = await this.tileManager.getFullSnapshot();
-      await this.mongo.collection('snapshots').insertOne({
-        timestamp: new Date(),
-        snapshot
-      });
-      console.log('Snapshot saved to MongoDB');
+      const snapshotId = await this.snapshotStore.save();
+      console.log(`Snapshot ${snapshotId} saved to MongoDB`);
+      
+      const pruned = await this.snapshotStore.prune(SNAPSHOT_RETENTION);
+      if (pruned > 0) {
+        console.log(`Pruned ${pruned} old snapshots`);
+      }
+      return snapshotId;
     } catch (error) {
       console.error('Error saving snapshot:', error);
+      return null;
+    }
+  }
+
+  // Restore the newest snapshot that restores cleanly. A corrupt or
+  // incompatible one shouldn't keep the server from starting, so fall back
+  // to older ones and, failing those, to a blank canvas.
+  async restoreLatestSnapshot() {
+    const snapshots = await this.snapshotStore.list(SNAPSHOT_RETENTION);
+    if (snapshots.length === 0) {
+      console.log('No snapshot to restore, starting with a blank canvas');
+      return;
+    }
+
+    for (const snapshot of snapshots) {
+      try {
+        const restored = await this.snapshotStore.restore(snapshot.id);
+        console.log(`Restored snapshot ${restored.id} (${restored.tiles} tiles)`);
+        return;
+      } catch (error) {
+        console.error(`Failed to restore snapshot ${snapshot.id}:`, error);
+      }
+    }
+
+    // Clear whatever a failed restore got to write
+    console.error('No snapshot could be restored, starting with a blank canvas');
+    const { tilesX, tilesY } = this.tileManager.getTileInfo();
+    for (let tileY = 0; tileY < tilesY; tileY++) {
+      for (let tileX = 0; tileX < tilesX; tileX++) {
+        await this.tileManager.importTile(tileX, tileY, null);
+      }
     }
   }
 }
@@ -481,10 +1834,32 @@ process.on('SIGTERM', () => {
   if (server.app) {
     server.app.close();
   }
-  process.exit(0);
+  server.releaseImageJobs()
+    .catch((error) => console.error('Error releasing image jobs:', error))
+    .finally(() => process.exit(0));
 });
 
 // Save snapshots periodically (every 5 minutes)
 setInterval(() => {
   server.saveSnapshot();
-}, 5 * 60 * 1000);
\ No newline at end of file
+}, 5 * 60 * 1000);
+
+// Move placement events from the Redis stream to MongoDB (every 10 seconds)
+setInterval(() => {
+  server.archiveEvents();
+}, 10 * 1000);
+
+// Bring overview tiles up to date with recent writes
+setInterval(() => {
+  server.flushOverviews();
+}, OVERVIEW_FLUSH_INTERVAL_MS);
+
+// Forget image uploads that were abandoned halfway
+setInterval(() => {
+  server.expireImageUploads();
+}, IMAGE_UPLOAD_SWEEP_INTERVAL_MS);
+
+// Keep our image jobs leased and pick up unclaimed ones
+setInterval(() => {
+  server.pollImageJobs();
+}, IMAGE_JOB_POLL_INTERVAL_MS);
\ No newline at end of file
@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+
+// Signed session tokens: `<payload>.<signature>`, both base64url. The payload
+// is JSON `{ sub, exp }` (exp in seconds since the epoch) and the signature
+// is its HMAC-SHA256 under the shared secret, so any service holding the
+// secret can issue tokens the server will accept.
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+export function createSessionToken(subject, secret, ttlSeconds) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: subject,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns the token's subject, or null if it's malformed, forged or expired
+export function verifySessionToken(token, secret) {
+  if (typeof token !== 'string' || !secret) return null;
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (typeof sub !== 'string' || !sub || !Number.isFinite(exp) || exp * 1000 < Date.now()) {
+      return null;
+    }
+    return sub;
+  } catch {
+    return null;
+  }
+}
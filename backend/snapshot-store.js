@@ -0,0 +1,118 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { GridFSBucket, ObjectId } from 'mongodb';
+
+// Canvas snapshots in GridFS, so they aren't bound by MongoDB's 16MB
+// document limit. Each snapshot is one file made of tile records:
+//
+//   [tileX u16][tileY u16][length u32][stored tile bytes]
+//
+// Tiles that were never painted are left out. The file metadata holds the
+// canvas configuration at the time of the snapshot.
+
+const RECORD_HEADER_SIZE = 8;
+
+export class SnapshotStore {
+  constructor(db, tileManager) {
+    this.bucket = new GridFSBucket(db, { bucketName: 'snapshots' });
+    this.tileManager = tileManager;
+  }
+
+  async *tileRecords() {
+    const { tilesX, tilesY } = this.tileManager.getTileInfo();
+
+    for (let tileY = 0; tileY < tilesY; tileY++) {
+      for (let tileX = 0; tileX < tilesX; tileX++) {
+        const data = await this.tileManager.exportTile(tileX, tileY);
+        if (!data) continue;
+
+        const header = Buffer.alloc(RECORD_HEADER_SIZE);
+        header.writeUInt16BE(tileX, 0);
+        header.writeUInt16BE(tileY, 2);
+        header.writeUInt32BE(data.length, 4);
+        yield header;
+        yield data;
+      }
+    }
+  }
+
+  async save() {
+    const createdAt = new Date();
+    const upload = this.bucket.openUploadStream(`snapshot-${createdAt.getTime()}`, {
+      metadata: { createdAt, ...this.tileManager.getTileInfo() }
+    });
+
+    await pipeline(Readable.from(this.tileRecords()), upload);
+    return upload.id;
+  }
+
+  async list(limit = 50) {
+    const files = await this.bucket.find({}).sort({ uploadDate: -1 }).limit(limit).toArray();
+    return files.map((file) => ({
+      id: file._id.toString(),
+      createdAt: file.uploadDate.getTime(),
+      size: file.length,
+      canvasWidth: file.metadata?.canvasWidth,
+      canvasHeight: file.metadata?.canvasHeight
+    }));
+  }
+
+  // Keep the newest `keep` snapshots and delete the rest
+  async prune(keep) {
+    const stale = await this.bucket.find({}).sort({ uploadDate: -1 }).skip(keep).toArray();
+    for (const file of stale) {
+      await this.bucket.delete(file._id);
+    }
+    return stale.length;
+  }
+
+  // Make the live canvas match a snapshot: tiles in the snapshot are
+  // written back, every other tile is cleared
+  async restore(snapshotId) {
+    const id = typeof snapshotId === 'string' ? new ObjectId(snapshotId) : snapshotId;
+    const file = await this.bucket.find({ _id: id }).next();
+    if (!file) {
+      throw new Error(`Snapshot ${id} not found`);
+    }
+
+    const metadata = file.metadata || {};
+    if (metadata.tileSize !== this.tileManager.tileSize) {
+      throw new Error(`Snapshot ${id} uses ${metadata.tileSize}px tiles`);
+    }
+
+    // The canvas never shrinks, but restoring into an empty Redis may need
+    // to grow it back to the snapshot's size
+    await this.tileManager.expandCanvas(metadata.canvasWidth, metadata.canvasHeight);
+
+    const restored = new Set();
+    let pending = Buffer.alloc(0);
+
+    for await (const chunk of this.bucket.openDownloadStream(id)) {
+      pending = Buffer.concat([pending, chunk]);
+
+      while (pending.length >= RECORD_HEADER_SIZE) {
+        const length = pending.readUInt32BE(4);
+        if (pending.length < RECORD_HEADER_SIZE + length) break;
+
+        const tileX = pending.readUInt16BE(0);
+        const tileY = pending.readUInt16BE(2);
+        const data = pending.subarray(RECORD_HEADER_SIZE, RECORD_HEADER_SIZE + length);
+        await this.tileManager.importTile(tileX, tileY, data, metadata.storage);
+        restored.add(`${tileX}:${tileY}`);
+
+        pending = pending.subarray(RECORD_HEADER_SIZE + length);
+      }
+    }
+
+    const { tilesX, tilesY } = this.tileManager.getTileInfo();
+    for (let tileY = 0; tileY < tilesY; tileY++) {
+      for (let tileX = 0; tileX < tilesX; tileX++) {
+        if (!restored.has(`${tileX}:${tileY}`)) {
+          await this.tileManager.importTile(tileX, tileY, null);
+        }
+      }
+    }
+
+    return { id: id.toString(), createdAt: file.uploadDate.getTime(), tiles: restored.size };
+  }
+}
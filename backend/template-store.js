@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+
+// Shared templates in MongoDB: reference images pinned at canvas coordinates
+// that a group draws along with. Anyone with a template's id can look at it
+// and follow its completion; templates place nothing themselves.
+//
+// The image is stored as RGBA bytes with colors snapped to what the canvas
+// can store (see TileManager.normalizeColor) and alpha either 0 or 255, so a
+// pixel is done exactly when the canvas has the template's color there.
+
+export const MAX_TEMPLATE_SIZE = 1000; // Pixels per side
+const MAX_NAME_LENGTH = 100;
+const ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+// Raised for anything the user can fix, with a message safe to show them
+export class TemplateError extends Error {}
+
+export function isTemplateId(id) {
+  return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+// What clients are told about a template
+export function describeTemplate(template) {
+  return {
+    id: template._id,
+    name: template.name,
+    x: template.x,
+    y: template.y,
+    width: template.width,
+    height: template.height,
+    pixelCount: template.pixelCount,
+    createdBy: template.createdBy,
+    createdAt: template.createdAt.getTime()
+  };
+}
+
+export class TemplateStore {
+  constructor(collection, tileManager) {
+    this.collection = collection;
+    this.tileManager = tileManager;
+  }
+
+  // Validates and stores a template. `pixels` is the image as base64 RGBA.
+  async create({ name, x, y, width, height, pixels }, createdBy) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      throw new TemplateError(`Template names are 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (!Number.isInteger(width) || !Number.isInteger(height) ||
+        width < 1 || height < 1 || width > MAX_TEMPLATE_SIZE || height > MAX_TEMPLATE_SIZE) {
+      throw new TemplateError(`Templates are 1x1 to ${MAX_TEMPLATE_SIZE}x${MAX_TEMPLATE_SIZE} pixels`);
+    }
+    if (!this.tileManager.isInBounds(x, y) || !this.tileManager.isInBounds(x + width - 1, y + height - 1)) {
+      throw new TemplateError('Templates must lie within the canvas');
+    }
+
+    const image = typeof pixels === 'string' ? Buffer.from(pixels, 'base64') : null;
+    if (!image || image.length !== width * height * 4) {
+      throw new TemplateError('Template pixels do not match its size');
+    }
+
+    let pixelCount = 0;
+    for (let i = 0; i < image.length; i += 4) {
+      if (image[i + 3] < 128) {
+        image.fill(0, i, i + 4);
+        continue;
+      }
+
+      const color = this.tileManager.normalizeColor(`#${image.toString('hex', i, i + 3)}`);
+      image.write(color.slice(1), i, 3, 'hex');
+      image[i + 3] = 255;
+      pixelCount++;
+    }
+    if (pixelCount === 0) {
+      throw new TemplateError('Template has no visible pixels');
+    }
+
+    const template = {
+      _id: crypto.randomBytes(8).toString('base64url'),
+      name: name.trim(),
+      x,
+      y,
+      width,
+      height,
+      pixelCount,
+      image,
+      createdBy: createdBy || null,
+      createdAt: new Date()
+    };
+    await this.collection.insertOne(template);
+
+    return template;
+  }
+
+  // The template without its image, or null
+  async getInfo(id) {
+    if (!isTemplateId(id)) return null;
+    return this.collection.findOne({ _id: id }, { projection: { image: 0 } });
+  }
+
+  // The template with its image as a Buffer, or null
+  async get(id) {
+    if (!isTemplateId(id)) return null;
+
+    const template = await this.collection.findOne({ _id: id });
+    if (!template) return null;
+
+    return { ...template, image: Buffer.from(template.image.buffer) };
+  }
+}
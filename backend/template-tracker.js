@@ -0,0 +1,203 @@
+// Keeps track of how much of each followed template is done. Every server
+// sees every pixel update, so each one tracks just the templates its own
+// clients follow, loading a template when its first follower arrives and
+// forgetting it when the last one leaves.
+//
+// A template's pixels start out compared against the stored canvas, then
+// each update flips the pixel it lands on between done and not done. A pixel
+// going from done to not done is damage: someone painted over the artwork.
+
+export class TemplateTracker {
+  constructor(tileManager, loadTemplate) {
+    this.tileManager = tileManager;
+    this.loadTemplate = loadTemplate; // id => template with its image, or null
+    this.tracked = new Map(); // By template id
+  }
+
+  // Start following a template. Resolves to its state (see getStatus), or
+  // null if there is no such template.
+  async follow(id) {
+    let entry = this.tracked.get(id);
+    if (!entry) {
+      entry = { followers: 0, state: null, queued: [] };
+      entry.loading = this.load(id, entry);
+      this.tracked.set(id, entry);
+    }
+    entry.followers++;
+
+    try {
+      await entry.loading;
+    } catch (error) {
+      this.unfollow(id);
+      throw error;
+    }
+    if (!entry.state) {
+      this.unfollow(id);
+      return null;
+    }
+    return this.getStatus(id);
+  }
+
+  unfollow(id) {
+    const entry = this.tracked.get(id);
+    if (!entry) return;
+
+    entry.followers--;
+    if (entry.followers <= 0) {
+      this.tracked.delete(id);
+    }
+  }
+
+  async load(id, entry) {
+    const template = await this.loadTemplate(id);
+    if (!template) return;
+
+    entry.state = await this.compare(template);
+
+    // Updates that came in while we were reading the canvas
+    this.applyTo(entry.state, entry.queued);
+    entry.queued = null;
+  }
+
+  // Which of the template's pixels the canvas already has right
+  async compare(template) {
+    const { x, y, width, height, image } = template;
+    const { tileSize } = this.tileManager;
+    const done = new Uint8Array(width * height);
+    let correct = 0;
+
+    for (let tileY = Math.floor(y / tileSize); tileY <= Math.floor((y + height - 1) / tileSize); tileY++) {
+      for (let tileX = Math.floor(x / tileSize); tileX <= Math.floor((x + width - 1) / tileSize); tileX++) {
+        const tile = await this.tileManager.getRawTile(tileX, tileY);
+        if (!tile) {
+          throw new Error(`Failed to read tile ${tileX}:${tileY}`);
+        }
+        const rgba = this.tileManager.toRgba(tile);
+
+        const startX = Math.max(x, tileX * tileSize);
+        const endX = Math.min(x + width, (tileX + 1) * tileSize);
+        const startY = Math.max(y, tileY * tileSize);
+        const endY = Math.min(y + height, (tileY + 1) * tileSize);
+
+        for (let py = startY; py < endY; py++) {
+          for (let px = startX; px < endX; px++) {
+            const index = (py - y) * width + (px - x);
+            if (image[index * 4 + 3] === 0) continue;
+
+            const offset = ((py - tileY * tileSize) * tileSize + (px - tileX * tileSize)) * 4;
+            if (rgba.compare(image, index * 4, index * 4 + 3, offset, offset + 3) === 0) {
+              done[index] = 1;
+              correct++;
+            }
+          }
+        }
+      }
+    }
+
+    return { template, done, correct };
+  }
+
+  // Apply a batch of pixel updates to every template being followed.
+  // Returns a map of template id to the pixels the batch damaged and fixed,
+  // for the templates it changed.
+  apply(updates) {
+    const changes = new Map();
+    for (const [id, entry] of this.tracked) {
+      // Replayed once the canvas has been read
+      if (entry.queued) {
+        entry.queued.push(...updates);
+      }
+      if (!entry.state) continue;
+
+      const change = this.applyTo(entry.state, updates);
+      if (change.damaged.length > 0 || change.fixed.length > 0) {
+        changes.set(id, change);
+      }
+    }
+    return changes;
+  }
+
+  applyTo(state, updates) {
+    const { x, y, width, height, image } = state.template;
+    const damaged = [];
+    const fixed = [];
+
+    for (const update of updates) {
+      const px = update.x - x;
+      const py = update.y - y;
+      if (px < 0 || py < 0 || px >= width || py >= height) continue;
+
+      const index = py * width + px;
+      if (image[index * 4 + 3] === 0) continue;
+
+      const expected = `#${image.toString('hex', index * 4, index * 4 + 3)}`;
+      const done = update.color === expected ? 1 : 0;
+      if (done === state.done[index]) continue;
+
+      state.done[index] = done;
+      if (done) {
+        state.correct++;
+        fixed.push({ x: update.x, y: update.y });
+      } else {
+        state.correct--;
+        damaged.push({ x: update.x, y: update.y, color: update.color, expected, user: update.user || null });
+      }
+    }
+
+    return { damaged, fixed };
+  }
+
+  // The canvas changed wholesale (a rollback), so compare everything again
+  async reloadAll() {
+    await Promise.all([...this.tracked.values()].map(async (entry) => {
+      await entry.loading;
+      if (!entry.state) return;
+
+      entry.queued = [];
+      try {
+        const state = await this.compare(entry.state.template);
+        this.applyTo(state, entry.queued);
+        entry.state = state;
+      } finally {
+        entry.queued = null;
+      }
+    }));
+  }
+
+  isFollowed(id) {
+    return Boolean(this.tracked.get(id)?.state);
+  }
+
+  followedIds() {
+    return [...this.tracked.keys()].filter((id) => this.isFollowed(id));
+  }
+
+  // Up to `limit` of a loaded template's pixels that the canvas doesn't have
+  // right yet, as { x, y, expected }, row by row
+  getMismatches(id, limit) {
+    const { template, done } = this.tracked.get(id).state;
+    const { x, y, width, image } = template;
+    const mismatches = [];
+
+    for (let index = 0; index < done.length && mismatches.length < limit; index++) {
+      if (done[index] || image[index * 4 + 3] === 0) continue;
+
+      mismatches.push({
+        x: x + (index % width),
+        y: y + Math.floor(index / width),
+        expected: `#${image.toString('hex', index * 4, index * 4 + 3)}`
+      });
+    }
+    return mismatches;
+  }
+
+  // { total, correct, completion } of a loaded template, completion in percent
+  getStatus(id) {
+    const { template, correct } = this.tracked.get(id).state;
+    return {
+      total: template.pixelCount,
+      correct,
+      completion: Math.floor((correct / template.pixelCount) * 1000) / 10
+    };
+  }
+}
@@ -1,43 +1,111 @@
+import { PALETTE, PALETTE_RGB, nearestPaletteIndex } from './palette.js';
+
+// Tiles are stored either as raw RGBA (4 bytes per pixel) or as palette
+// indices (1 byte per pixel, colors snapped to the nearest palette entry)
+export const STORAGE_RGBA = 'rgba';
+export const STORAGE_INDEXED = 'indexed';
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// Pixel and tile coordinates go over the wire as 16 bit integers
+export const MAX_CANVAS_SIZE = 65535;
+
+const CANVAS_CONFIG_KEY = 'canvas:config';
+
+// Per-tile write counters, keyed by storage key
+const TILE_VERSIONS_KEY = 'tiles:versions';
+
 export class TileManager {
-  constructor(redis, tileSize, canvasWidth, canvasHeight) {
+  constructor(redis, tileSize, canvasWidth, canvasHeight, storage = STORAGE_RGBA) {
+    if (storage !== STORAGE_RGBA && storage !== STORAGE_INDEXED) {
+      throw new Error(`Unknown tile storage mode: ${storage}`);
+    }
+
     this.redis = redis;
+    this.storage = storage;
     this.tileSize = tileSize;
-    this.canvasWidth = canvasWidth;
-    this.canvasHeight = canvasHeight;
-    this.tilesX = Math.ceil(canvasWidth / tileSize);
-    this.tilesY = Math.ceil(canvasHeight / tileSize);
+    this.epoch = null; // Set by loadCanvasSize
+    this.resize(canvasWidth, canvasHeight);
     
-    // Lua script for atomic pixel updates
-    this.setPixelScript = `
+    // Lua script writing a batch of pixels into one tile atomically and
+    // bumping its version. KEYS are the tile and the versions hash. ARGV[1]
+    // is the byte offset multiplier (bytes per pixel), ARGV[2] the bytes an
+    // empty tile is filled with (empty string: leave missing tiles to
+    // SETRANGE zero padding), then pixel index / pixel bytes pairs.
+    // Returns the tile's new version.
+    this.setPixelsScript = `
       local tileKey = KEYS[1]
-      local pixelIndex = tonumber(ARGV[1])
-      local r = tonumber(ARGV[2])
-      local g = tonumber(ARGV[3])
-      local b = tonumber(ARGV[4])
-      local a = tonumber(ARGV[5])
+      local bytesPerPixel = tonumber(ARGV[1])
+      local emptyPixel = ARGV[2]
       
-      -- Get existing tile data or create empty tile
-      local tileData = redis.call('GET', tileKey)
-      if not tileData then
-        -- Create empty tile (256x256x4 = 262144 bytes, all white pixels)
-        tileData = string.rep(string.char(255, 255, 255, 255), 65536)
+      -- Create empty tile if needed
+      if emptyPixel ~= '' and redis.call('EXISTS', tileKey) == 0 then
+        redis.call('SET', tileKey, string.rep(emptyPixel, ${tileSize * tileSize}))
       end
       
-      -- Update pixel at index (4 bytes per pixel: RGBA)
-      local byteIndex = (pixelIndex * 4) + 1
-      local newPixel = string.char(r, g, b, a)
-      tileData = string.sub(tileData, 1, byteIndex - 1) .. newPixel .. string.sub(tileData, byteIndex + 4)
-      
-      -- Store updated tile
-      redis.call('SET', tileKey, tileData)
-      return 1
+      -- Overwrite each pixel in place
+      for i = 3, #ARGV, 2 do
+        redis.call('SETRANGE', tileKey, tonumber(ARGV[i]) * bytesPerPixel, ARGV[i + 1])
+      end
+      return redis.call('HINCRBY', KEYS[2], tileKey, 1)
     `;
+
+    // Lua script growing the stored canvas size, never shrinking it
+    this.expandScript = `
+      local width = tonumber(redis.call('HGET', KEYS[1], 'width') or 0)
+      local height = tonumber(redis.call('HGET', KEYS[1], 'height') or 0)
+      width = math.max(width, tonumber(ARGV[1]))
+      height = math.max(height, tonumber(ARGV[2]))
+      redis.call('HSET', KEYS[1], 'width', width, 'height', height)
+      return { width, height }
+    `;
+  }
+
+  resize(canvasWidth, canvasHeight) {
+    this.canvasWidth = canvasWidth;
+    this.canvasHeight = canvasHeight;
+    this.tilesX = Math.ceil(canvasWidth / this.tileSize);
+    this.tilesY = Math.ceil(canvasHeight / this.tileSize);
+  }
+
+  // The canvas only ever grows: take the larger of the configured and the
+  // stored size, so runtime expansions survive restarts. Also picks up the
+  // canvas epoch, which changes whenever Redis starts over empty.
+  async loadCanvasSize() {
+    await this.redis.hsetnx(CANVAS_CONFIG_KEY, 'epoch', Date.now().toString(36));
+    this.epoch = await this.redis.hget(CANVAS_CONFIG_KEY, 'epoch');
+    
+    const [width, height] = await this.redis.eval(
+      this.expandScript,
+      1,
+      CANVAS_CONFIG_KEY,
+      this.canvasWidth,
+      this.canvasHeight
+    );
+    this.resize(width, height);
+  }
+
+  // Grow the canvas. Existing pixels keep their coordinates; the new area
+  // simply reads as empty tiles until someone paints on it.
+  async expandCanvas(canvasWidth, canvasHeight) {
+    const [width, height] = await this.redis.eval(
+      this.expandScript,
+      1,
+      CANVAS_CONFIG_KEY,
+      canvasWidth,
+      canvasHeight
+    );
+    this.resize(width, height);
+    return this.getTileInfo();
+  }
+
+  async isInitialized() {
+    return (await this.redis.exists('tiles:initialized')) === 1;
   }
 
   async initializeTiles() {
     // Check if tiles are already initialized
-    const exists = await this.redis.exists('tiles:initialized');
-    if (exists) {
+    if (await this.isInitialized()) {
       console.log('Tiles already initialized');
       return;
     }
@@ -53,6 +121,30 @@ export class TileManager {
     return `tile:${tileX}:${tileY}`;
   }
 
+  // Indexed tiles live under their own keys so switching modes never
+  // misreads data written by the other one
+  getStorageKey(tileX, tileY) {
+    if (this.storage === STORAGE_INDEXED) {
+      return `tile8:${tileX}:${tileY}`;
+    }
+    return this.getTileId(tileX, tileY);
+  }
+
+  // Parse a `tile:x:y` id, returning null if it's malformed or off the canvas
+  parseTileId(tileId) {
+    if (typeof tileId !== 'string') return null;
+    
+    const [prefix, tileX, tileY] = tileId.split(':');
+    const coords = { tileX: Number(tileX), tileY: Number(tileY) };
+    if (prefix !== 'tile' ||
+        !Number.isInteger(coords.tileX) || coords.tileX < 0 || coords.tileX >= this.tilesX ||
+        !Number.isInteger(coords.tileY) || coords.tileY < 0 || coords.tileY >= this.tilesY) {
+      return null;
+    }
+    
+    return coords;
+  }
+
   coordsToTile(x, y) {
     return {
       tileX: Math.floor(x / this.tileSize),
@@ -69,54 +161,170 @@ export class TileManager {
     return { r, g, b, a: 255 };
   }
 
+  // The color a pixel will actually end up with once stored
+  normalizeColor(color) {
+    if (this.storage === STORAGE_INDEXED) {
+      return PALETTE[nearestPaletteIndex(color)];
+    }
+    return color.toLowerCase();
+  }
+
+  isInBounds(x, y) {
+    return Number.isInteger(x) && Number.isInteger(y) &&
+      x >= 0 && x < this.canvasWidth && y >= 0 && y < this.canvasHeight;
+  }
+
+  // Bytes stored for one pixel of the given color
+  encodePixel(color) {
+    if (this.storage === STORAGE_INDEXED) {
+      return Buffer.from([nearestPaletteIndex(color)]);
+    }
+    const { r, g, b, a } = this.hexToRgba(color);
+    return Buffer.from([r, g, b, a]);
+  }
+
   async setPixel(x, y, color) {
-    try {
+    const [success] = await this.setPixels([{ x, y, color }]);
+    return success;
+  }
+
+  // Write many pixels with one script call per tile touched. Returns one
+  // boolean per input pixel telling whether it was written.
+  async setPixels(pixels) {
+    const results = new Array(pixels.length).fill(false);
+    const groups = new Map();
+    
+    pixels.forEach(({ x, y, color }, i) => {
+      if (!this.isInBounds(x, y) || !HEX_COLOR.test(color)) return;
+      
       const { tileX, tileY, localX, localY } = this.coordsToTile(x, y);
-      const tileId = this.getTileId(tileX, tileY);
-      const { r, g, b, a } = this.hexToRgba(color);
+      const tileKey = this.getStorageKey(tileX, tileY);
+      if (!groups.has(tileKey)) {
+        groups.set(tileKey, { indexes: [], args: [] });
+      }
+      
+      const group = groups.get(tileKey);
+      group.indexes.push(i);
+      group.args.push(localY * this.tileSize + localX, this.encodePixel(color));
+    });
+    
+    const indexed = this.storage === STORAGE_INDEXED;
+    const bytesPerPixel = indexed ? 1 : 4;
+    const emptyPixel = indexed ? '' : Buffer.from([255, 255, 255, 255]);
+    
+    await Promise.all(Array.from(groups, async ([tileKey, group]) => {
+      try {
+        const version = await this.redis.eval(
+          this.setPixelsScript,
+          2,
+          tileKey,
+          TILE_VERSIONS_KEY,
+          bytesPerPixel,
+          emptyPixel,
+          ...group.args
+        );
+        
+        if (version > 0) {
+          group.indexes.forEach(i => { results[i] = true; });
+        }
+      } catch (error) {
+        console.error(`Error setting pixels in ${tileKey}:`, error);
+      }
+    }));
+    
+    return results;
+  }
+
+  // Current color of each pixel (as normalizeColor would give it), or null
+  // for pixels outside the canvas. Reads just the pixels' bytes, not whole
+  // tiles.
+  async getPixels(pixels) {
+    const indexed = this.storage === STORAGE_INDEXED;
+    const bytesPerPixel = indexed ? 1 : 4;
+    const pipeline = this.redis.pipeline();
+    const inBounds = pixels.map(({ x, y }) => this.isInBounds(x, y));
+    
+    pixels.forEach(({ x, y }, i) => {
+      if (!inBounds[i]) return;
       
-      // Calculate pixel index within tile
-      const pixelIndex = localY * this.tileSize + localX;
+      const { tileX, tileY, localX, localY } = this.coordsToTile(x, y);
+      const offset = (localY * this.tileSize + localX) * bytesPerPixel;
+      pipeline.getrangeBuffer(this.getStorageKey(tileX, tileY), offset, offset + bytesPerPixel - 1);
+    });
+    
+    const results = await pipeline.exec();
+    let next = 0;
+    
+    return pixels.map((pixel, i) => {
+      if (!inBounds[i]) return null;
       
-      // Use Lua script for atomic update
-      const result = await this.redis.eval(
-        this.setPixelScript,
-        1,
-        tileId,
-        pixelIndex,
-        r,
-        g,
-        b,
-        a
-      );
+      const [error, bytes] = results[next++];
+      if (error) throw error;
       
-      return result === 1;
-    } catch (error) {
-      console.error('Error setting pixel:', error);
-      return false;
-    }
+      // Missing tiles and bytes past the end of a tile are blank (white)
+      if (bytes.length < bytesPerPixel) return '#ffffff';
+      if (indexed) return PALETTE[bytes[0]];
+      return `#${bytes.toString('hex', 0, 3)}`;
+    });
   }
 
-  async getTile(tileX, tileY) {
+  // Number of writes a tile has seen; 0 for a tile nobody has painted
+  async getTileVersion(tileX, tileY) {
+    const version = await this.redis.hget(TILE_VERSIONS_KEY, this.getStorageKey(tileX, tileY));
+    return Number(version) || 0;
+  }
+
+  // Opaque tag for one version of a tile. Version counters restart when
+  // Redis is wiped and are kept per storage mode, so the tag includes both.
+  getTileTag(version) {
+    return `${this.epoch}-${this.storage}-${version}`;
+  }
+
+  async getRawTile(tileX, tileY) {
     try {
-      const tileId = this.getTileId(tileX, tileY);
-      const tileData = await this.redis.getBuffer(tileId);
+      const tileKey = this.getStorageKey(tileX, tileY);
+      
+      // Read data and version together so they always match
+      const [[dataError, tileData], [versionError, storedVersion]] = await this.redis.multi()
+        .getBuffer(tileKey)
+        .hget(TILE_VERSIONS_KEY, tileKey)
+        .exec();
+      if (dataError || versionError) {
+        throw dataError || versionError;
+      }
       
-      if (!tileData) {
-        // Return empty white tile
-        const emptyTile = Buffer.alloc(this.tileSize * this.tileSize * 4);
-        emptyTile.fill(255); // White pixels
+      const version = Number(storedVersion) || 0;
+      const pixelCount = this.tileSize * this.tileSize;
+      
+      if (this.storage === STORAGE_INDEXED) {
+        // SETRANGE only grows a tile up to its last written pixel, and
+        // missing bytes are index 0 (white)
+        const indices = Buffer.alloc(pixelCount);
+        if (tileData) {
+          tileData.copy(indices, 0, 0, pixelCount);
+        }
+        
         return {
           tileX,
           tileY,
-          data: emptyTile.toString('base64')
+          version,
+          indices,
+          palette: PALETTE_RGB
         };
       }
       
+      let rgba = tileData;
+      if (!rgba) {
+        // Empty white tile
+        rgba = Buffer.alloc(pixelCount * 4);
+        rgba.fill(255);
+      }
+      
       return {
         tileX,
         tileY,
-        data: tileData.toString('base64')
+        version,
+        rgba
       };
     } catch (error) {
       console.error('Error getting tile:', error);
@@ -124,13 +332,40 @@ export class TileManager {
     }
   }
 
-  async getTiles(tileIds) {
+  // Expand a raw tile to RGBA bytes, whichever way it's stored
+  toRgba(tile) {
+    if (tile.rgba) return tile.rgba;
+    
+    const rgba = Buffer.alloc(tile.indices.length * 4);
+    for (let i = 0; i < tile.indices.length; i++) {
+      const entry = tile.indices[i] * 3;
+      rgba[i * 4] = tile.palette[entry];
+      rgba[i * 4 + 1] = tile.palette[entry + 1];
+      rgba[i * 4 + 2] = tile.palette[entry + 2];
+      rgba[i * 4 + 3] = 255;
+    }
+    return rgba;
+  }
+
+  async getTile(tileX, tileY) {
+    const tile = await this.getRawTile(tileX, tileY);
+    if (!tile) return null;
+    
+    return {
+      tileX,
+      tileY,
+      version: tile.version,
+      data: this.toRgba(tile).toString('base64')
+    };
+  }
+
+  async getRawTiles(tileIds) {
     const tiles = [];
     
     for (const tileId of tileIds) {
-      const [, tileX, tileY] = tileId.split(':').map(Number);
-      if (tileX >= 0 && tileX < this.tilesX && tileY >= 0 && tileY < this.tilesY) {
-        const tile = await this.getTile(tileX, tileY);
+      const coords = this.parseTileId(tileId);
+      if (coords) {
+        const tile = await this.getRawTile(coords.tileX, coords.tileY);
         if (tile) {
           tiles.push(tile);
         }
@@ -140,6 +375,16 @@ export class TileManager {
     return tiles;
   }
 
+  async getTiles(tileIds) {
+    const tiles = await this.getRawTiles(tileIds);
+    return tiles.map((tile) => ({
+      tileX: tile.tileX,
+      tileY: tile.tileY,
+      version: tile.version,
+      data: this.toRgba(tile).toString('base64')
+    }));
+  }
+
   async getVisibleTiles(viewX, viewY, viewWidth, viewHeight) {
     const startTileX = Math.floor(viewX / this.tileSize);
     const endTileX = Math.ceil((viewX + viewWidth) / this.tileSize);
@@ -162,20 +407,43 @@ export class TileManager {
     return tiles;
   }
 
-  async getFullSnapshot() {
-    const snapshot = {};
+  // Stored bytes of a tile, or null if it has never been painted
+  async exportTile(tileX, tileY) {
+    return this.redis.getBuffer(this.getStorageKey(tileX, tileY));
+  }
+
+  // Replace a tile with bytes from exportTile (null clears it). Data stored
+  // in the other storage mode is converted first.
+  async importTile(tileX, tileY, data, storage = this.storage) {
+    const tileKey = this.getStorageKey(tileX, tileY);
+    const transaction = this.redis.multi();
     
-    for (let tileY = 0; tileY < this.tilesY; tileY++) {
-      for (let tileX = 0; tileX < this.tilesX; tileX++) {
-        const tileId = this.getTileId(tileX, tileY);
-        const tileData = await this.redis.getBuffer(tileId);
-        if (tileData) {
-          snapshot[tileId] = tileData.toString('base64');
-        }
-      }
+    if (data) {
+      transaction.set(tileKey, this.convertTileData(data, storage));
+    } else {
+      transaction.del(tileKey);
+    }
+    
+    await transaction.hincrby(TILE_VERSIONS_KEY, tileKey, 1).exec();
+  }
+
+  convertTileData(data, storage) {
+    if (storage === this.storage) return data;
+    
+    const pixelCount = this.tileSize * this.tileSize;
+    
+    if (storage === STORAGE_INDEXED) {
+      const indices = Buffer.alloc(pixelCount);
+      data.copy(indices, 0, 0, pixelCount);
+      return this.toRgba({ indices, palette: PALETTE_RGB });
     }
     
-    return snapshot;
+    const indices = Buffer.alloc(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+      const hex = '#' + data.subarray(i * 4, i * 4 + 3).toString('hex');
+      indices[i] = nearestPaletteIndex(hex);
+    }
+    return indices;
   }
 
   getTileInfo() {
@@ -184,7 +452,8 @@ export class TileManager {
       tilesX: this.tilesX,
       tilesY: this.tilesY,
       canvasWidth: this.canvasWidth,
-      canvasHeight: this.canvasHeight
+      canvasHeight: this.canvasHeight,
+      storage: this.storage
     };
   }
 }
\ No newline at end of file
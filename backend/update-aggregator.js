@@ -0,0 +1,40 @@
+// Collects pixel updates for a short window and hands them over as one batch,
+// so a busy canvas costs one publish and one frame per client per window
+// instead of one per pixel.
+export class UpdateAggregator {
+  constructor(flushIntervalMs, onFlush) {
+    this.flushIntervalMs = flushIntervalMs;
+    this.onFlush = onFlush;
+    this.pending = new Map();
+    this.timer = null;
+  }
+
+  add(update) {
+    const key = `${update.x}:${update.y}`;
+
+    // Only the latest write to a pixel within the window matters
+    this.pending.delete(key);
+    this.pending.set(key, update);
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+    }
+  }
+
+  async flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.pending.size === 0) return;
+
+    const updates = Array.from(this.pending.values());
+    this.pending.clear();
+
+    try {
+      await this.onFlush(updates);
+    } catch (error) {
+      console.error('Error flushing pixel updates:', error);
+    }
+  }
+}
@@ -0,0 +1,95 @@
+// Numbers every broadcast pixel update and keeps the most recent ones, so a
+// client that was offline can catch up on exactly what it missed.
+//
+// Sequence numbers are assigned and the batch is published in one Lua
+// script, so batches go out on `canvas:updates` in sequence order no matter
+// how many servers are publishing. Each batch carries the last sequence
+// number it used.
+
+const SEQ_KEY = 'canvas:seq';
+const RECENT_KEY = 'canvas:recent'; // Sorted set of update JSON, scored by seq
+const UPDATES_CHANNEL = 'canvas:updates';
+
+// How many of the latest updates are kept for resyncs
+const HISTORY_SIZE = 100000;
+
+export class UpdateSequencer {
+  constructor(redis) {
+    this.redis = redis;
+
+    // ARGV[1] is the history size, then one JSON update per argument.
+    // Returns the last sequence number assigned.
+    this.publishScript = `
+      local count = #ARGV - 1
+      local last = redis.call('INCRBY', KEYS[1], count)
+      local updates = {}
+      for i = 2, #ARGV do
+        local update = cjson.decode(ARGV[i])
+        update.seq = last - count + i - 1
+        redis.call('ZADD', KEYS[2], update.seq, cjson.encode(update))
+        updates[#updates + 1] = update
+      end
+      redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', last - tonumber(ARGV[1]))
+      redis.call('PUBLISH', KEYS[3], cjson.encode({ type = 'pixel_updates', seq = last, updates = updates }))
+      return last
+    `;
+  }
+
+  // The canvas changed wholesale (a rollback): move the sequence on and drop
+  // the history, so every resync from before now has to refetch its tiles.
+  // Returns the new sequence number.
+  async reset() {
+    const [[seqError, seq], [deleteError]] = await this.redis.multi()
+      .incr(SEQ_KEY)
+      .del(RECENT_KEY)
+      .exec();
+    if (seqError || deleteError) {
+      throw seqError || deleteError;
+    }
+    return seq;
+  }
+
+  async publish(updates) {
+    return this.redis.eval(
+      this.publishScript,
+      3,
+      SEQ_KEY,
+      RECENT_KEY,
+      UPDATES_CHANNEL,
+      HISTORY_SIZE,
+      ...updates.map((update) => JSON.stringify(update))
+    );
+  }
+
+  // Last sequence number handed out
+  async current() {
+    return Number(await this.redis.get(SEQ_KEY)) || 0;
+  }
+
+  // Updates after `seq`, oldest first, along with the last sequence number
+  // handed out. `updates` is null if some of them have already dropped out
+  // of the history or there are more than `limit`.
+  async since(seq, limit) {
+    const [[seqError, current], [rangeError, entries]] = await this.redis.multi()
+      .get(SEQ_KEY)
+      .zrangebyscore(RECENT_KEY, `(${seq}`, '+inf', 'LIMIT', 0, limit + 1)
+      .exec();
+    if (seqError || rangeError) {
+      throw seqError || rangeError;
+    }
+
+    const last = Number(current) || 0;
+    const updates = entries.map((entry) => JSON.parse(entry));
+
+    // A client ahead of us saw a sequence that has since been reset
+    if (seq > last || updates.length > limit) {
+      return { seq: last, updates: null };
+    }
+    // The history must reach back to the update right after `seq`
+    if (seq < last && updates[0]?.seq !== seq + 1) {
+      return { seq: last, updates: null };
+    }
+
+    return { seq: last, updates };
+  }
+}
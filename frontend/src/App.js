@@ -3,21 +3,39 @@ import Canvas from './components/Canvas';
 import ColorPalette from './components/ColorPalette';
 import ConnectionStatus from './components/ConnectionStatus';
 import ImageUpload from './components/ImageUpload';
+import AccountPanel from './components/AccountPanel';
+import CooldownStatus from './components/CooldownStatus';
+import TemplatePanel from './components/TemplatePanel';
+import { createHello, decodeMessage } from './protocol';
+import { ChunkedUpload } from './chunkedUpload';
+import { fetchSharedTemplate, shareTemplate } from './templates';
+import { WS_URL } from './config';
 import './App.css';
 
-const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:9001';
+const MAX_RECENT_DAMAGE = 20; // Damaged template pixels remembered
+const MAX_MISMATCHES = 100; // Template pixels still to fix remembered, as many as the server lists
 
 function App() {
   const [ws, setWs] = useState(null);
   const [connected, setConnected] = useState(false);
   const [selectedColor, setSelectedColor] = useState('#ff0000');
   const [rateLimited, setRateLimited] = useState(false);
+  const [cooldown, setCooldown] = useState(null);
   const [showImageUpload, setShowImageUpload] = useState(false);
   const [pendingImage, setPendingImage] = useState(null);
   const [imageMode, setImageMode] = useState(false);
   const [imageDrawing, setImageDrawing] = useState(null);
+  const [imageUpload, setImageUpload] = useState(null); // Chunks { received, total } of an image on its way
   const [sidebarOpen, setSidebarOpen] = useState(true);
+  const [template, setTemplate] = useState(null); // Reference image shown over the canvas
+  const [templatePlacing, setTemplatePlacing] = useState(false);
+  const [templateProgress, setTemplateProgress] = useState(null); // Completion of a shared template
+  const [session, setSession] = useState({ user: null, canPlace: true });
   const reconnectTimeoutRef = useRef(null);
+  const wsRef = useRef(null);
+  const tokenRef = useRef(localStorage.getItem('sessionToken'));
+  const reconnectDelayRef = useRef(3000);
+  const uploadRef = useRef(null);
 
   useEffect(() => {
     connectWebSocket();
@@ -25,20 +43,94 @@ function App() {
       if (reconnectTimeoutRef.current) {
         clearTimeout(reconnectTimeoutRef.current);
       }
+      if (uploadRef.current) {
+        uploadRef.current.stop();
+      }
       if (ws) {
         ws.close();
       }
     };
   }, []);
 
+  const loadSharedTemplate = async (id, settings) => {
+    try {
+      setTemplate({ ...(await fetchSharedTemplate(id)), ...settings });
+      setTemplatePlacing(false);
+    } catch (error) {
+      console.error('Error loading shared template:', error);
+      alert(error.message);
+    }
+  };
+
+  // Open the shared template the link points at, if any
+  useEffect(() => {
+    const linkedId = new URLSearchParams(window.location.search).get('template');
+    if (linkedId) {
+      loadSharedTemplate(linkedId, { opacity: 0.5, showMismatches: false });
+    }
+  }, []);
+
+  // Keep the address bar pointing at the shared template, and follow its
+  // completion, again after every reconnect. The link is only touched once
+  // the template changes, so it survives while the template loads.
+  const templateId = template ? template.id : null;
+  const linkedTemplateIdRef = useRef(null);
+  useEffect(() => {
+    if (templateId === linkedTemplateIdRef.current) return;
+    linkedTemplateIdRef.current = templateId;
+    
+    const url = new URL(window.location.href);
+    if (templateId) {
+      url.searchParams.set('template', templateId);
+    } else {
+      url.searchParams.delete('template');
+    }
+    window.history.replaceState(null, '', url.toString());
+  }, [templateId]);
+
+  useEffect(() => {
+    if (!ws || !templateId) return;
+    
+    ws.send(JSON.stringify({ type: 'subscribe_template', templateId }));
+    return () => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'unsubscribe_template', templateId }));
+      }
+      setTemplateProgress(null);
+    };
+  }, [ws, templateId]);
+
+  // Block placing until the server says the next pixel is allowed
+  useEffect(() => {
+    const wait = cooldown && cooldown.remaining === 0 ? cooldown.readyAt - Date.now() : 0;
+    setRateLimited(wait > 0);
+    if (wait <= 0) return;
+    
+    const timeout = setTimeout(() => setRateLimited(false), wait);
+    return () => clearTimeout(timeout);
+  }, [cooldown]);
+
   const connectWebSocket = () => {
     try {
-      const websocket = new WebSocket(WS_URL);
+      const url = new URL(WS_URL);
+      if (tokenRef.current) {
+        url.searchParams.set('token', tokenRef.current);
+      }
+      
+      const websocket = new WebSocket(url.toString());
+      websocket.binaryType = 'arraybuffer';
+      wsRef.current = websocket;
       
       websocket.onopen = () => {
         console.log('Connected to server');
+        websocket.send(JSON.stringify(createHello()));
         setConnected(true);
         setWs(websocket);
+        
+        // Send whatever an unfinished upload is still missing
+        if (uploadRef.current) {
+          uploadRef.current.resume();
+        }
       };
 
       websocket.onclose = () => {
@@ -46,12 +138,14 @@ function App() {
         setConnected(false);
         setWs(null);
         
-        // Attempt to reconnect after 3 seconds
+        // Attempt to reconnect after 3 seconds, or right away when we closed
+        // the socket ourselves to switch sessions
+        const delay = reconnectDelayRef.current;
+        reconnectDelayRef.current = 3000;
         reconnectTimeoutRef.current = setTimeout(() => {
-          console.log(process.env.REACT_APP_WS_URL);
           console.log('Attempting to reconnect...');
           connectWebSocket();
-        }, 3000);
+        }, delay);
       };
 
       websocket.onerror = (error) => {
@@ -60,7 +154,7 @@ function App() {
 
       websocket.onmessage = (event) => {
         try {
-          const data = JSON.parse(event.data);
+          const data = decodeMessage(event.data);
           handleMessage(data);
         } catch (error) {
           console.error('Error parsing message:', error);
@@ -74,13 +168,29 @@ function App() {
 
   const handleMessage = (data) => {
     switch (data.type) {
-      case 'pixel_update':
+      case 'pixel_updates':
+      case 'tiles':
+      case 'canvas_info':
+      case 'pixel_info':
+      case 'canvas_reload':
+      case 'resync':
         // Canvas component will handle this through the ws prop
         break;
+      case 'cooldown':
+        // Convert to our own clock
+        setCooldown({ remaining: data.remaining, readyAt: Date.now() + data.retryIn });
+        break;
+      case 'session':
+        setSession({ user: data.user, canPlace: data.canPlace });
+        break;
+      case 'hello':
+        console.log(`Using ${data.protocol} protocol (v${data.version})`);
+        break;
       case 'error':
-        if (data.message === 'Rate limit exceeded') {
-          setRateLimited(true);
-          setTimeout(() => setRateLimited(false), 2000);
+        if (data.message === 'Invalid session token') {
+          // Expired or revoked; carry on anonymously
+          localStorage.removeItem('sessionToken');
+          tokenRef.current = null;
         }
         console.error('Server error:', data.message);
         
@@ -88,31 +198,70 @@ function App() {
         if (data.message.includes('image') || data.message.includes('Image')) {
           setImageDrawing(null);
         }
+        if (/image|Image|chunk/.test(data.message) && uploadRef.current) {
+          uploadRef.current.stop();
+          uploadRef.current = null;
+          setImageUpload(null);
+        }
         break;
       case 'pixel_set':
         console.log('Pixel set confirmed:', data);
         break;
       case 'image_drawing_started':
         setImageDrawing({
+          jobId: data.jobId,
           status: 'drawing',
           totalPixels: data.totalPixels,
-          pixelsPlaced: 0,
+          pixelsPlaced: data.pixelsPlaced,
+          pixelsSkipped: 0,
           progress: 0,
           estimatedSeconds: data.estimatedSeconds
         });
         break;
+      case 'image_jobs': {
+        // Sent on connect, so we pick up an image started before a reconnect
+        const [job] = data.jobs;
+        setImageDrawing(prev => {
+          if (!job) return prev?.status === 'complete' ? prev : null;
+          return {
+            jobId: job.jobId,
+            status: job.status === 'paused' ? 'paused' : 'drawing',
+            totalPixels: job.totalPixels,
+            pixelsPlaced: job.pixelsPlaced,
+            pixelsSkipped: job.pixelsSkipped,
+            progress: Math.round(((job.pixelsPlaced + job.pixelsSkipped) / job.totalPixels) * 100)
+          };
+        });
+        break;
+      }
       case 'image_drawing_progress':
         setImageDrawing(prev => prev ? {
           ...prev,
           pixelsPlaced: data.pixelsPlaced,
+          pixelsSkipped: data.pixelsSkipped,
           progress: data.progress
         } : null);
         break;
+      case 'image_drawing_paused':
+        // Paused by us, or waiting for the pixel budget to refill (the
+        // server carries on by itself then)
+        setImageDrawing(prev => prev ? {
+          ...prev,
+          status: data.reason === 'user' ? 'paused' : 'waiting'
+        } : null);
+        break;
+      case 'image_drawing_resumed':
+        setImageDrawing(prev => prev ? { ...prev, status: 'drawing' } : null);
+        break;
+      case 'image_drawing_cancelled':
+        setImageDrawing(null);
+        break;
       case 'image_drawing_complete':
         setImageDrawing(prev => prev ? {
           ...prev,
           status: 'complete',
           pixelsPlaced: data.pixelsPlaced,
+          pixelsSkipped: data.pixelsSkipped,
           progress: 100
         } : null);
         // Clear after 3 seconds
@@ -120,6 +269,54 @@ function App() {
         break;
       case 'image_chunk_received':
         console.log(`Chunk progress: ${data.chunksReceived}/${data.totalChunks} received`);
+        if (uploadRef.current && uploadRef.current.handleAck(data) && uploadRef.current.done) {
+          uploadRef.current = null;
+          setImageUpload(null);
+        }
+        break;
+      case 'template_status':
+        setTemplateProgress(prev => ({
+          templateId: data.templateId,
+          total: data.total,
+          correct: data.correct,
+          completion: data.completion,
+          damaged: prev?.templateId === data.templateId ? prev.damaged : [],
+          mismatched: data.mismatched || []
+        }));
+        break;
+      case 'template_progress':
+        setTemplateProgress(prev => {
+          if (prev?.templateId !== data.templateId) return prev;
+          
+          // Newest damage first, minus whatever has been fixed since
+          // (copied, as updaters must not touch the message)
+          const newest = [...data.damaged].reverse();
+          const fixed = new Set(data.fixed.map(({ x, y }) => `${x}:${y}`));
+          const seen = new Set();
+          const damaged = [...newest, ...prev.damaged].filter(({ x, y }) => {
+            const key = `${x}:${y}`;
+            if (fixed.has(key) || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          }).slice(0, MAX_RECENT_DAMAGE);
+
+          // Same for the pixels still to fix, fresh damage first
+          const listed = new Set();
+          const mismatched = [...newest, ...prev.mismatched].filter(({ x, y }) => {
+            const key = `${x}:${y}`;
+            if (fixed.has(key) || listed.has(key)) return false;
+            listed.add(key);
+            return true;
+          }).slice(0, MAX_MISMATCHES);
+          
+          return { ...prev, total: data.total, correct: data.correct, completion: data.completion, damaged, mismatched };
+        });
+        break;
+      case 'image_upload_busy':
+        // The server is short on room for uploads; the chunk gets resent
+        console.log(`Server busy, chunk ${data.chunkIndex} will be resent`);
+        break;
+      case 'image_upload_cancelled':
         break;
       case 'pong':
         // Keep-alive response
@@ -129,6 +326,41 @@ function App() {
     }
   };
 
+  // Reconnect so the server picks up the new identity
+  const changeSession = (token) => {
+    tokenRef.current = token;
+    if (token) {
+      localStorage.setItem('sessionToken', token);
+    } else {
+      localStorage.removeItem('sessionToken');
+    }
+    
+    if (wsRef.current) {
+      reconnectDelayRef.current = 0;
+      wsRef.current.close();
+    }
+  };
+
+
+  // Store the local template on the server, then switch to the stored copy,
+  // whose colors are what the canvas can actually hold
+  const handleTemplateShare = async () => {
+    try {
+      const { id } = await shareTemplate(template, tokenRef.current);
+      await loadSharedTemplate(id, { opacity: template.opacity, showMismatches: template.showMismatches });
+    } catch (error) {
+      console.error('Error sharing template:', error);
+      alert(error.message);
+    }
+  };
+
+  // pause_image, resume_image or cancel_image for the image being drawn
+  const controlImageDrawing = (type) => {
+    if (ws && ws.readyState === WebSocket.OPEN && imageDrawing?.jobId) {
+      ws.send(JSON.stringify({ type, jobId: imageDrawing.jobId }));
+    }
+  };
+
   const sendPixel = (x, y, color) => {
     if (ws && ws.readyState === WebSocket.OPEN) {
       ws.send(JSON.stringify({
@@ -140,8 +372,8 @@ function App() {
     }
   };
 
-  const handleImageProcessed = (pixels, imageSize) => {
-    setPendingImage({ pixels, imageSize });
+  const handleImageProcessed = (pixels, imageSize, order) => {
+    setPendingImage({ pixels, imageSize, order });
     setImageMode(true);
     setShowImageUpload(false);
   };
@@ -152,50 +384,32 @@ function App() {
       return;
     }
 
-    const { pixels } = pendingImage;
+    const { pixels, order } = pendingImage;
     
     console.log('Placing image:', { startX, startY, pixelCount: pixels.length });
     
-    try {
-      // Compress pixel data format: [x, y, color] arrays instead of objects
-      const compressedPixels = pixels.map(p => [p.x, p.y, p.color]);
-      
-      // For large images, send in chunks to avoid WebSocket payload limits
-      const chunkSize = 10000; // Pixels per chunk
-      const totalChunks = Math.ceil(compressedPixels.length / chunkSize);
-      const imageId = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      console.log(`Sending image in ${totalChunks} chunks of ${chunkSize} pixels each`);
-      
-      for (let i = 0; i < totalChunks; i++) {
-        const startIdx = i * chunkSize;
-        const endIdx = Math.min(startIdx + chunkSize, compressedPixels.length);
-        const chunk = compressedPixels.slice(startIdx, endIdx);
-        
-        const message = {
-          type: 'place_image_chunk',
-          imageId,
-          chunkIndex: i,
-          totalChunks,
-          startX,
-          startY,
-          pixels: chunk
-        };
-        
-        // Add small delay between chunks to avoid overwhelming the WebSocket
-        setTimeout(() => {
-          if (ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify(message));
-            console.log(`Sent chunk ${i + 1}/${totalChunks}`);
-          }
-        }, i * 50); // 50ms delay between chunks
-      }
-      
-      console.log('All chunks sent to server');
-    } catch (error) {
-      console.error('Error sending image data:', error);
-      return;
+    // Only one upload at a time; a new image replaces an unfinished one
+    if (uploadRef.current) {
+      uploadRef.current.cancel();
     }
+    
+    const upload = new ChunkedUpload({
+      startX,
+      startY,
+      order,
+      // Compress pixel data format: [x, y, color] arrays instead of objects
+      pixels: pixels.map(p => [p.x, p.y, p.color]),
+      send: (message) => {
+        const socket = wsRef.current;
+        if (!socket || socket.readyState !== WebSocket.OPEN) return false;
+        socket.send(JSON.stringify(message));
+        return true;
+      },
+      onProgress: (received, total) => setImageUpload({ received, total })
+    });
+    uploadRef.current = upload;
+    setImageUpload({ received: 0, total: upload.totalChunks });
+    upload.start();
 
     // Exit image mode
     setImageMode(false);
@@ -236,6 +450,16 @@ function App() {
         {/* Collapsible Sidebar */}
         <div className={`sidebar ${sidebarOpen ? 'sidebar-open' : 'sidebar-closed'}`}>
           <div className="sidebar-content">
+            <div className="sidebar-section">
+              <h3>Account</h3>
+              <AccountPanel
+                user={session.user}
+                canPlace={session.canPlace}
+                onLogin={changeSession}
+                onLogout={() => changeSession(null)}
+              />
+            </div>
+
             <div className="sidebar-section">
               <h3>Colors</h3>
               <ColorPalette 
@@ -272,11 +496,36 @@ function App() {
               )}
             </div>
 
+            <div className="sidebar-section">
+              <h3>Template</h3>
+              <TemplatePanel
+                template={template}
+                placing={templatePlacing}
+                progress={templateProgress?.templateId === templateId ? templateProgress : null}
+                onChange={setTemplate}
+                onPlace={() => setTemplatePlacing(true)}
+                onShare={handleTemplateShare}
+                onClear={() => {
+                  setTemplate(null);
+                  setTemplatePlacing(false);
+                }}
+              />
+            </div>
+
             {/* Status Messages */}
-            {rateLimited && (
+            {cooldown && (
+              <div className="sidebar-section">
+                <CooldownStatus cooldown={cooldown} />
+              </div>
+            )}
+            
+            {imageUpload && (
               <div className="sidebar-section">
-                <div className="rate-limit-warning">
-                  Rate limited! Please wait before placing another pixel.
+                <div className="image-drawing-status">
+                  <div className="image-drawing-info">
+                    📤 Uploading image...
+                    <div>{imageUpload.received}/{imageUpload.total} chunks{!connected && ' (waiting for connection)'}</div>
+                  </div>
                 </div>
               </div>
             )}
@@ -285,10 +534,16 @@ function App() {
               <div className="sidebar-section">
                 <div className="image-drawing-status">
                   <div className="image-drawing-info">
-                    {imageDrawing.status === 'drawing' ? '🎨 Drawing image...' : '✅ Image complete!'}
+                    {imageDrawing.status === 'drawing' && '🎨 Drawing image...'}
+                    {imageDrawing.status === 'waiting' && '⏳ Waiting for pixel budget...'}
+                    {imageDrawing.status === 'paused' && '⏸ Paused'}
+                    {imageDrawing.status === 'complete' && '✅ Image complete!'}
                     <div>{imageDrawing.pixelsPlaced}/{imageDrawing.totalPixels} pixels ({imageDrawing.progress}%)</div>
+                    {imageDrawing.pixelsSkipped > 0 && (
+                      <div>{imageDrawing.pixelsSkipped} already the right color</div>
+                    )}
                   </div>
-                  {imageDrawing.status === 'drawing' && (
+                  {imageDrawing.status !== 'complete' && (
                     <div className="progress-bar">
                       <div 
                         className="progress-fill" 
@@ -296,6 +551,34 @@ function App() {
                       ></div>
                     </div>
                   )}
+                  {imageDrawing.status !== 'complete' && imageDrawing.jobId && (
+                    <div className="image-drawing-controls">
+                      {imageDrawing.status === 'paused' ? (
+                        <button
+                          className="tool-button"
+                          onClick={() => controlImageDrawing('resume_image')}
+                          disabled={!connected}
+                        >
+                          Resume
+                        </button>
+                      ) : (
+                        <button
+                          className="tool-button"
+                          onClick={() => controlImageDrawing('pause_image')}
+                          disabled={!connected}
+                        >
+                          Pause
+                        </button>
+                      )}
+                      <button
+                        className="tool-button cancel-image-button"
+                        onClick={() => controlImageDrawing('cancel_image')}
+                        disabled={!connected}
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -312,6 +595,12 @@ function App() {
             imageMode={imageMode}
             pendingImage={pendingImage}
             onImagePlace={handleImagePlacement}
+            template={template}
+            templatePlacing={templatePlacing}
+            onTemplatePlace={(x, y) => {
+              setTemplate({ ...template, x, y });
+              setTemplatePlacing(false);
+            }}
           />
         </div>
       </div>
@@ -0,0 +1,108 @@
+// Sends an image to the server as place_image_chunk messages and makes sure
+// every chunk arrives. The server acks each chunk with the ones it is still
+// missing; those get sent unless they are already on their way, a few at a
+// time. A chunk that goes unacked for RESEND_AFTER_MS is sent again, so an
+// upload survives dropped messages and reconnects.
+
+const CHUNK_SIZE = 10000; // Pixels per chunk
+const MAX_IN_FLIGHT = 2;
+const RESEND_AFTER_MS = 5000;
+const CHECK_INTERVAL_MS = 1000;
+
+export class ChunkedUpload {
+  // `pixels` are [x, y, color] relative to (startX, startY). `send` sends a
+  // message and returns false if it couldn't (not connected).
+  constructor({ startX, startY, order, pixels, send, onProgress }) {
+    this.imageId = `img_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    this.send = send;
+    this.onProgress = onProgress;
+    this.timer = null;
+
+    const totalChunks = Math.ceil(pixels.length / CHUNK_SIZE);
+    this.chunks = [];
+    for (let i = 0; i < totalChunks; i++) {
+      this.chunks.push({
+        type: 'place_image_chunk',
+        imageId: this.imageId,
+        chunkIndex: i,
+        totalChunks,
+        startX,
+        startY,
+        order,
+        pixels: pixels.slice(i * CHUNK_SIZE, (i + 1) * CHUNK_SIZE)
+      });
+    }
+
+    this.missing = new Set(this.chunks.map((chunk) => chunk.chunkIndex));
+    this.sentAt = new Map(); // Chunks on their way, by index
+  }
+
+  get totalChunks() {
+    return this.chunks.length;
+  }
+
+  start() {
+    console.log(`Sending image ${this.imageId} in ${this.totalChunks} chunks`);
+    this.timer = setInterval(() => this.pump(), CHECK_INTERVAL_MS);
+    this.pump();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Give up on the upload, and let the server free what it has of it
+  cancel() {
+    this.stop();
+    if (!this.done) {
+      this.send({ type: 'cancel_image_upload', imageId: this.imageId });
+    }
+  }
+
+  // Send missing chunks, as many as may be in flight
+  pump() {
+    const now = Date.now();
+    for (const [index, sentAt] of this.sentAt) {
+      if (now - sentAt > RESEND_AFTER_MS) {
+        this.sentAt.delete(index);
+      }
+    }
+
+    for (const index of this.missing) {
+      if (this.sentAt.size >= MAX_IN_FLIGHT) break;
+      if (this.sentAt.has(index)) continue;
+      if (!this.send(this.chunks[index])) break;
+      this.sentAt.set(index, now);
+    }
+  }
+
+  // Handle an image_chunk_received message. Returns false if it is for some
+  // other upload.
+  handleAck({ imageId, chunkIndex, missing }) {
+    if (imageId !== this.imageId) return false;
+
+    this.sentAt.delete(chunkIndex);
+    this.missing = new Set(missing);
+    if (this.onProgress) {
+      this.onProgress(this.totalChunks - this.missing.size, this.totalChunks);
+    }
+
+    if (this.missing.size === 0) {
+      this.stop();
+    } else {
+      this.pump();
+    }
+    return true;
+  }
+
+  // After a reconnect nothing is in flight anymore
+  resume() {
+    this.sentAt.clear();
+    this.pump();
+  }
+
+  get done() {
+    return this.missing.size === 0;
+  }
+}
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { HTTP_URL } from '../config';
+
+function AccountPanel({ user, canPlace, onLogin, onLogout }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (action) => {
+    setBusy(true);
+    setError(null);
+    
+    try {
+      const response = await fetch(`${HTTP_URL}/api/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const data = await response.json();
+      
+      if (!response.ok) {
+        setError(data.error || 'Something went wrong');
+        return;
+      }
+      
+      setPassword('');
+      onLogin(data.token);
+    } catch (err) {
+      console.error(`Error during ${action}:`, err);
+      setError('Could not reach the server');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (user) {
+    return (
+      <div className="account-panel">
+        <div className="account-user">Logged in as <strong>{user}</strong></div>
+        <button className="tool-button" onClick={onLogout}>
+          Log out
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      className="account-panel"
+      onSubmit={(e) => {
+        e.preventDefault();
+        submit('login');
+      }}
+    >
+      {!canPlace && <div className="account-hint">Log in to place pixels</div>}
+      <input
+        type="text"
+        placeholder="Username"
+        autoComplete="username"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+      />
+      <input
+        type="password"
+        placeholder="Password"
+        autoComplete="current-password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      {error && <div className="account-error">{error}</div>}
+      <div className="account-actions">
+        <button type="submit" className="tool-button" disabled={busy || !username || !password}>
+          Log in
+        </button>
+        <button
+          type="button"
+          className="tool-button"
+          disabled={busy || !username || !password}
+          onClick={() => submit('register')}
+        >
+          Register
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default AccountPanel;
@@ -1,28 +1,115 @@
-import React, { useEffect, useRef, useState, useCallback } from 'react';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
+import { base64ToBytes, decodeMessage } from '../protocol';
+import { HTTP_URL } from '../config';
 
-const CANVAS_WIDTH = 4000;
-const CANVAS_HEIGHT = 4000;
-const TILE_SIZE = 256;
+// Used until the server announces the real canvas configuration
+const DEFAULT_CANVAS_INFO = { canvasWidth: 4000, canvasHeight: 4000, tileSize: 256, overviewLevels: [] };
 const MIN_SCALE = 0.1;
 const MAX_SCALE = 8;
+const INSPECT_DELAY_MS = 300; // Hover time before asking who placed a pixel
+const MISMATCH_COLOR = [255, 0, 255]; // Highlights pixels that differ from the template
+const MAX_SUBSCRIBED_TILES = 1024; // Same as the server
+const MAX_MISMATCH_CHANGES = 500; // Changed areas queued before the mismatches are redone in full
 
-function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendingImage, onImagePlace }) {
+// Coarsest tile level that still has at least one pixel per screen pixel.
+// Level 1 is full resolution, level N an overview at 1/N scale.
+function pickTileLevel(scale, overviewLevels) {
+  return overviewLevels.reduce((best, level) => (level <= 1 / scale ? Math.max(best, level) : best), 1);
+}
+
+// The visible tiles to get live updates for. The server only takes so many
+// subscriptions, so when more are in view the ones nearest the middle win.
+function pickSubscribedTiles(visibleTileIds) {
+  if (visibleTileIds.length <= MAX_SUBSCRIBED_TILES) return visibleTileIds;
+
+  const tiles = visibleTileIds.map((tileId) => {
+    const [tileX, tileY] = tileId.slice('tile:'.length).split(':').map(Number);
+    return { tileId, tileX, tileY };
+  });
+  const centerX = (tiles[0].tileX + tiles[tiles.length - 1].tileX) / 2;
+  const centerY = (tiles[0].tileY + tiles[tiles.length - 1].tileY) / 2;
+  const distance = ({ tileX, tileY }) => (tileX - centerX) ** 2 + (tileY - centerY) ** 2;
+
+  return tiles
+    .sort((a, b) => distance(a) - distance(b))
+    .slice(0, MAX_SUBSCRIBED_TILES)
+    .map(({ tileId }) => tileId);
+}
+
+// Queue an area of the canvas for the template's mismatches to be checked
+// again, or have them redone in full once too many areas have piled up
+function markMismatchesChanged(mismatches, x, y, width, height) {
+  if (mismatches.stale) return;
+  
+  if (mismatches.changed.length >= MAX_MISMATCH_CHANGES) {
+    mismatches.stale = true;
+    mismatches.changed = [];
+  } else {
+    mismatches.changed.push({ x, y, width, height });
+  }
+}
+
+function Canvas({
+  ws,
+  selectedColor,
+  onPixelPlace,
+  rateLimited,
+  imageMode,
+  pendingImage,
+  onImagePlace,
+  template,
+  templatePlacing,
+  onTemplatePlace
+}) {
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
   const [scale, setScale] = useState(0.5);
-  const [offset, setOffset] = useState({ x: -CANVAS_WIDTH / 4, y: -CANVAS_HEIGHT / 4 });
+  const [offset, setOffset] = useState({
+    x: -DEFAULT_CANVAS_INFO.canvasWidth / 4,
+    y: -DEFAULT_CANVAS_INFO.canvasHeight / 4
+  });
   const [isDragging, setIsDragging] = useState(false);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
   const [mousePos, setMousePos] = useState({ x: 0, y: 0 });
   const [tiles, setTiles] = useState(new Map());
-  const [loadedTiles, setLoadedTiles] = useState(new Set());
+  const [loadedTileCount, setLoadedTileCount] = useState(0);
+  const [canvasInfo, setCanvasInfo] = useState(DEFAULT_CANVAS_INFO);
+  const [pixelInfo, setPixelInfo] = useState(null);
+  const [templateMismatches, setTemplateMismatches] = useState(null);
   
+  const canvasInfoRef = useRef(DEFAULT_CANVAS_INFO);
   const offscreenCanvasRef = useRef(null);
   const offscreenCtxRef = useRef(null);
+  const subscribedTilesRef = useRef(new Set());
+  // Finest level drawn so far for each full-resolution tile ("x:y")
+  const loadedTilesRef = useRef(new Map());
+  // Tiles being fetched ("level:x:y"), with the updates that arrived in the
+  // meantime
+  const pendingTilesRef = useRef(new Map());
+  // Sequence number of the last update batch applied
+  const lastSeqRef = useRef(null);
+  // After a reconnect: the tiles we were subscribed to, until resubscribed
+  const resyncTilesRef = useRef(null);
+  // Batches held back while waiting for the answer to a resync
+  const resyncBufferRef = useRef(null);
+  const inspectTimeoutRef = useRef(null);
+  // Pixels of the template that differ from the canvas. Redone in full when
+  // stale, otherwise just for the areas of the canvas that changed since.
+  const mismatchesRef = useRef({ stale: true, changed: [], mask: null });
 
-  // Initialize offscreen canvas
   useEffect(() => {
-    const offscreenCanvas = new OffscreenCanvas(CANVAS_WIDTH, CANVAS_HEIGHT);
+    canvasInfoRef.current = canvasInfo;
+  }, [canvasInfo]);
+
+  // Initialize offscreen canvas, and grow it when the canvas is expanded
+  useEffect(() => {
+    const { canvasWidth, canvasHeight } = canvasInfo;
+    const previousCanvas = offscreenCanvasRef.current;
+    if (previousCanvas && previousCanvas.width === canvasWidth && previousCanvas.height === canvasHeight) {
+      return;
+    }
+
+    const offscreenCanvas = new OffscreenCanvas(canvasWidth, canvasHeight);
     const offscreenCtx = offscreenCanvas.getContext('2d');
     
     // Disable anti-aliasing for crisp pixels
@@ -36,20 +123,99 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
     
     // Fill with white background
     offscreenCtx.fillStyle = '#ffffff';
-    offscreenCtx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-  }, []);
+    offscreenCtx.fillRect(0, 0, canvasWidth, canvasHeight);
+    
+    // Keep everything already loaded
+    if (previousCanvas) {
+      offscreenCtx.drawImage(previousCanvas, 0, 0);
+    }
+    
+    if (requestRedrawRef.current) {
+      requestRedrawRef.current();
+    }
+  }, [canvasInfo]);
 
   // Handle WebSocket messages
   useEffect(() => {
     if (!ws) return;
 
+    // A new socket starts without any subscriptions. If we were connected
+    // before, we ask to be caught up on what our tiles missed once they're
+    // resubscribed; otherwise we start from scratch.
+    if (lastSeqRef.current !== null) {
+      resyncTilesRef.current = subscribedTilesRef.current;
+      pendingTilesRef.current = new Map();
+    } else {
+      resetLoadedTiles();
+    }
+    subscribedTilesRef.current = new Set();
+    resyncBufferRef.current = null;
+
+    const applyBatch = (batch) => {
+      if (lastSeqRef.current === null || batch.seq > lastSeqRef.current) {
+        applyUpdates(batch.updates);
+        lastSeqRef.current = batch.seq;
+      }
+    };
+
+    // Apply the missed updates, then whatever arrived while we waited
+    const finishResync = (data) => {
+      const buffered = resyncBufferRef.current || [];
+      resyncBufferRef.current = null;
+      
+      applyUpdates(data.updates);
+      data.refetch.forEach(tileId => loadedTilesRef.current.delete(tileId.slice('tile:'.length)));
+      setLoadedTileCount(loadedTilesRef.current.size);
+      lastSeqRef.current = data.seq;
+      buffered.forEach(applyBatch);
+      
+      if (requestRedrawRef.current) {
+        requestRedrawRef.current();
+      }
+    };
+
     const handleMessage = (event) => {
-      const data = JSON.parse(event.data);
+      const data = decodeMessage(event.data);
       
-      if (data.type === 'pixel_update') {
-        updatePixel(data.x, data.y, data.color);
+      if (data.type === 'pixel_updates') {
+        if (resyncBufferRef.current) {
+          resyncBufferRef.current.push(data);
+        } else {
+          applyBatch(data);
+        }
+      } else if (data.type === 'resync') {
+        finishResync(data);
+      } else if (data.type === 'error' && resyncBufferRef.current && data.message.startsWith('Resync')) {
+        // Can't catch up, so reload everything instead
+        const buffered = resyncBufferRef.current;
+        resyncBufferRef.current = null;
+        resetLoadedTiles();
+        buffered.forEach(applyBatch);
+      } else if (data.type === 'pong') {
+        if (!resyncBufferRef.current && data.seq > lastSeqRef.current) {
+          lastSeqRef.current = data.seq;
+        }
       } else if (data.type === 'tiles') {
-        loadTileData(data.tiles);
+        loadTileData(data.tiles, data.level);
+      } else if (data.type === 'canvas_reload') {
+        // The canvas was rolled back; everything we have is stale,
+        // including tiles still being fetched
+        resetLoadedTiles();
+        if (!resyncBufferRef.current && data.seq > lastSeqRef.current) {
+          lastSeqRef.current = data.seq;
+        }
+      } else if (data.type === 'pixel_info') {
+        setPixelInfo(data);
+      } else if (data.type === 'canvas_info') {
+        if (lastSeqRef.current === null && Number.isFinite(data.seq)) {
+          lastSeqRef.current = data.seq;
+        }
+        setCanvasInfo({
+          canvasWidth: data.canvasWidth,
+          canvasHeight: data.canvasHeight,
+          tileSize: data.tileSize,
+          overviewLevels: data.overviewLevels || []
+        });
       }
     };
 
@@ -60,33 +226,101 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
   // Use refs to avoid circular dependencies
   const requestRedrawRef = useRef();
 
-  const updatePixel = useCallback((x, y, color) => {
+  const resetLoadedTiles = useCallback(() => {
+    loadedTilesRef.current = new Map();
+    pendingTilesRef.current = new Map();
+    mismatchesRef.current.stale = true;
+    setLoadedTileCount(0);
+    
+    if (requestRedrawRef.current) {
+      requestRedrawRef.current();
+    }
+  }, []);
+
+  const applyUpdates = useCallback((updates) => {
     if (!offscreenCtxRef.current) return;
     
     const ctx = offscreenCtxRef.current;
-    ctx.fillStyle = color;
-    ctx.fillRect(x, y, 1, 1);
+    const { tileSize, overviewLevels } = canvasInfoRef.current;
+    const levels = [1, ...overviewLevels];
+    const pending = pendingTilesRef.current;
     
-    // Trigger redraw without changing zoom/pan
+    updates.forEach((update) => {
+      ctx.fillStyle = update.color;
+      ctx.fillRect(update.x, update.y, 1, 1);
+      
+      // Replayed once the tile arrives, in case it's older than the update
+      const tileX = Math.floor(update.x / tileSize);
+      const tileY = Math.floor(update.y / tileSize);
+      levels.forEach((level) => {
+        const entry = pending.get(`${level}:${Math.floor(tileX / level)}:${Math.floor(tileY / level)}`);
+        if (entry) {
+          entry.updates.push(update);
+        }
+      });
+      markMismatchesChanged(mismatchesRef.current, update.x, update.y, 1, 1);
+    });
+    
+    // One redraw for the whole batch, without changing zoom/pan
     if (requestRedrawRef.current) {
       requestRedrawRef.current();
     }
   }, []);
 
-  const loadTileData = useCallback((tilesData) => {
+  // Draw a freshly loaded tile, then replay the updates received while it
+  // was in flight. An overview tile is scaled up over the full-resolution
+  // tiles it covers, skipping those we already have in finer detail.
+  const drawTile = useCallback((level, tileX, tileY, image) => {
+    const ctx = offscreenCtxRef.current;
+    const { canvasWidth, canvasHeight, tileSize } = canvasInfoRef.current;
+    const loaded = loadedTilesRef.current;
+    const span = tileSize / level; // Tile pixels covering one full-resolution tile
+    const endX = Math.min((tileX + 1) * level, Math.ceil(canvasWidth / tileSize));
+    const endY = Math.min((tileY + 1) * level, Math.ceil(canvasHeight / tileSize));
+    
+    for (let y = tileY * level; y < endY; y++) {
+      for (let x = tileX * level; x < endX; x++) {
+        const tileKey = `${x}:${y}`;
+        if (loaded.has(tileKey) && loaded.get(tileKey) < level) continue;
+        
+        ctx.drawImage(
+          image,
+          (x - tileX * level) * span, (y - tileY * level) * span, span, span,
+          x * tileSize, y * tileSize, tileSize, tileSize
+        );
+        loaded.set(tileKey, level);
+        markMismatchesChanged(mismatchesRef.current, x * tileSize, y * tileSize, tileSize, tileSize);
+      }
+    }
+    
+    const pendingKey = `${level}:${tileX}:${tileY}`;
+    const entry = pendingTilesRef.current.get(pendingKey);
+    if (entry) {
+      entry.updates.forEach(({ x, y, color }) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y, 1, 1);
+      });
+      pendingTilesRef.current.delete(pendingKey);
+    }
+    
+    setLoadedTileCount(loaded.size);
+  }, []);
+
+  const loadTileData = useCallback((tilesData, level = 1) => {
     if (!offscreenCtxRef.current) return;
     
-    const ctx = offscreenCtxRef.current;
+    const { tileSize } = canvasInfoRef.current;
     
     tilesData.forEach(tile => {
       try {
+        // Binary frames arrive already decoded, JSON ones as base64
         const imageData = new ImageData(
-          new Uint8ClampedArray(atob(tile.data).split('').map(c => c.charCodeAt(0))),
-          TILE_SIZE,
-          TILE_SIZE
+          tile.pixels || base64ToBytes(tile.data),
+          tileSize,
+          tileSize
         );
         
-        const tileCanvas = new OffscreenCanvas(TILE_SIZE, TILE_SIZE);
+        const tileCanvas = new OffscreenCanvas(tileSize, tileSize);
         const tileCtx = tileCanvas.getContext('2d');
         
         // Disable anti-aliasing for crisp pixels
@@ -97,14 +331,7 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
         
         tileCtx.putImageData(imageData, 0, 0);
         
-        ctx.drawImage(
-          tileCanvas,
-          tile.tileX * TILE_SIZE,
-          tile.tileY * TILE_SIZE
-        );
-        
-        const tileKey = `${tile.tileX}:${tile.tileY}`;
-        setLoadedTiles(prev => new Set(prev).add(tileKey));
+        drawTile(level, tile.tileX, tile.tileY, tileCanvas);
       } catch (error) {
         console.error('Error loading tile:', error);
       }
@@ -113,37 +340,262 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
     if (requestRedrawRef.current) {
       requestRedrawRef.current();
     }
-  }, []);
+  }, [drawTile]);
 
-  const requestTiles = useCallback((viewX, viewY, viewWidth, viewHeight) => {
-    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+  // Tiles come over HTTP so the browser can cache them and revalidate
+  // against their ETag
+  const fetchTile = useCallback(async (level, tileX, tileY) => {
+    const query = level > 1 ? `?level=${level}` : '';
+    const response = await fetch(`${HTTP_URL}/tiles/${tileX}/${tileY}${query}`, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch tile ${tileX}:${tileY} at level ${level}: ${response.status}`);
+    }
     
-    const startTileX = Math.floor(viewX / TILE_SIZE);
-    const endTileX = Math.ceil((viewX + viewWidth) / TILE_SIZE);
-    const startTileY = Math.floor(viewY / TILE_SIZE);
-    const endTileY = Math.ceil((viewY + viewHeight) / TILE_SIZE);
+    return createImageBitmap(await response.blob(), {
+      colorSpaceConversion: 'none',
+      premultiplyAlpha: 'none'
+    });
+  }, []);
+
+  const getVisibleTileIds = useCallback((viewX, viewY, viewWidth, viewHeight) => {
+    const { canvasWidth, canvasHeight, tileSize } = canvasInfo;
+    const startTileX = Math.max(0, Math.floor(viewX / tileSize));
+    const endTileX = Math.min(Math.ceil(canvasWidth / tileSize), Math.ceil((viewX + viewWidth) / tileSize));
+    const startTileY = Math.max(0, Math.floor(viewY / tileSize));
+    const endTileY = Math.min(Math.ceil(canvasHeight / tileSize), Math.ceil((viewY + viewHeight) / tileSize));
     
-    const neededTiles = [];
+    const tileIds = [];
     
     for (let tileY = startTileY; tileY < endTileY; tileY++) {
       for (let tileX = startTileX; tileX < endTileX; tileX++) {
-        const tileKey = `${tileX}:${tileY}`;
-        if (!loadedTiles.has(tileKey) &&
-            tileX >= 0 && tileX < Math.ceil(CANVAS_WIDTH / TILE_SIZE) &&
-            tileY >= 0 && tileY < Math.ceil(CANVAS_HEIGHT / TILE_SIZE)) {
-          neededTiles.push(`tile:${tileX}:${tileY}`);
-        }
+        tileIds.push(`tile:${tileX}:${tileY}`);
       }
     }
     
-    if (neededTiles.length > 0) {
+    return tileIds;
+  }, [canvasInfo]);
+
+  // Only receive updates for tiles in view
+  const updateSubscriptions = useCallback((visibleTileIds) => {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    
+    const subscribed = subscribedTilesRef.current;
+    const wanted = pickSubscribedTiles(visibleTileIds);
+    const visible = new Set(wanted);
+    const toSubscribe = wanted.filter(tileId => !subscribed.has(tileId));
+    const toUnsubscribe = [...subscribed].filter(tileId => !visible.has(tileId));
+    
+    if (toUnsubscribe.length > 0) {
+      ws.send(JSON.stringify({ type: 'unsubscribe', tiles: toUnsubscribe }));
+    }
+    if (toSubscribe.length > 0) {
+      ws.send(JSON.stringify({ type: 'subscribe', tiles: toSubscribe }));
+    }
+    [...toSubscribe, ...toUnsubscribe].forEach((tileId) => {
+      const [tileX, tileY] = tileId.slice('tile:'.length).split(':').map(Number);
+      const { tileSize } = canvasInfoRef.current;
+      markMismatchesChanged(mismatchesRef.current, tileX * tileSize, tileY * tileSize, tileSize, tileSize);
+    });
+    
+    // Tiles we weren't subscribed to got no updates, so whatever we have of
+    // them is stale. After a reconnect the resync catches up the ones we
+    // were subscribed to before.
+    const loaded = loadedTilesRef.current;
+    const resyncTiles = resyncTilesRef.current;
+    toSubscribe.forEach((tileId) => {
+      if (!resyncTiles || !resyncTiles.has(tileId)) {
+        loaded.delete(tileId.slice('tile:'.length));
+      }
+    });
+    setLoadedTileCount(loaded.size);
+    
+    if (resyncTiles) {
+      resyncTilesRef.current = null;
+      resyncBufferRef.current = [];
       ws.send(JSON.stringify({
-        type: 'get_tiles',
-        tileIds: neededTiles
+        type: 'resync',
+        lastSeq: lastSeqRef.current,
+        tiles: toSubscribe.filter(tileId => loaded.has(tileId.slice('tile:'.length)))
       }));
     }
-  }, [ws, loadedTiles]);
+    
+    subscribedTilesRef.current = visible;
+  }, [ws]);
 
+  // Fetch whatever the visible area lacks at the given level
+  const requestTiles = useCallback((visibleTileIds, level) => {
+    const loaded = loadedTilesRef.current;
+    const pending = pendingTilesRef.current;
+    const neededTiles = new Map();
+    
+    visibleTileIds.forEach((tileId) => {
+      const [tileX, tileY] = tileId.slice('tile:'.length).split(':').map(Number);
+      const tileKey = `${tileX}:${tileY}`;
+      if (loaded.has(tileKey) && loaded.get(tileKey) <= level) return;
+      
+      const coords = { tileX: Math.floor(tileX / level), tileY: Math.floor(tileY / level) };
+      const pendingKey = `${level}:${coords.tileX}:${coords.tileY}`;
+      if (!pending.has(pendingKey)) {
+        neededTiles.set(pendingKey, coords);
+      }
+    });
+    
+    neededTiles.forEach(async ({ tileX, tileY }, pendingKey) => {
+      const entry = { updates: [] };
+      pending.set(pendingKey, entry);
+      
+      try {
+        const bitmap = await fetchTile(level, tileX, tileY);
+        
+        // Dropped if the canvas was reloaded while we were waiting
+        if (pendingTilesRef.current.get(pendingKey) === entry && offscreenCtxRef.current) {
+          drawTile(level, tileX, tileY, bitmap);
+          if (requestRedrawRef.current) {
+            requestRedrawRef.current();
+          }
+        }
+        bitmap.close();
+      } catch (error) {
+        console.error(error);
+        
+        // Fall back to asking over the socket
+        if (ws && ws.readyState === WebSocket.OPEN) {
+          ws.send(JSON.stringify({ type: 'get_tiles', level, tileIds: [`tile:${tileX}:${tileY}`] }));
+        } else if (pendingTilesRef.current.get(pendingKey) === entry) {
+          pendingTilesRef.current.delete(pendingKey);
+        }
+      }
+    });
+  }, [ws, fetchTile, drawTile]);
+
+  // The template's pixels, ready to be drawn
+  const templateData = template ? template.imageData : null;
+  const templateImage = useMemo(() => {
+    if (!templateData) return null;
+    
+    const image = new OffscreenCanvas(templateData.width, templateData.height);
+    image.getContext('2d').putImageData(templateData, 0, 0);
+    return image;
+  }, [templateData]);
+  
+  // While being placed the template follows the mouse
+  const templateX = templatePlacing ? mousePos.x : template && template.x;
+  const templateY = templatePlacing ? mousePos.y : template && template.y;
+  
+  // Mark the template's pixels that differ from the canvas. Only tiles in
+  // view and loaded at full resolution are compared; anything else may be
+  // stale or scaled down. Starts over when the template or its position
+  // changed, otherwise only rechecks the areas queued since the last time.
+  const findMismatches = useCallback(() => {
+    const { width, height, imageData } = template;
+    const { canvasWidth, canvasHeight, tileSize } = canvasInfoRef.current;
+    const loaded = loadedTilesRef.current;
+    const subscribed = subscribedTilesRef.current;
+    let mismatches = mismatchesRef.current;
+    
+    let areas = mismatches.changed;
+    const full = mismatches.stale || mismatches.template !== template ||
+      mismatches.x !== templateX || mismatches.y !== templateY;
+    if (full) {
+      const maskImage = new OffscreenCanvas(width, height);
+      mismatches = {
+        template,
+        x: templateX,
+        y: templateY,
+        mask: new ImageData(width, height),
+        maskImage,
+        maskCtx: maskImage.getContext('2d'),
+        states: new Uint8Array(width * height),
+        checked: 0,
+        differ: 0
+      };
+      areas = [{ x: templateX, y: templateY, width, height }];
+    }
+    const before = { checked: mismatches.checked, differ: mismatches.differ };
+    
+    areas.forEach((area) => {
+      const startX = Math.max(0, templateX, area.x);
+      const startY = Math.max(0, templateY, area.y);
+      const endX = Math.min(canvasWidth, templateX + width, area.x + area.width);
+      const endY = Math.min(canvasHeight, templateY + height, area.y + area.height);
+      if (endX <= startX || endY <= startY) return;
+      
+      const canvasPixels = offscreenCtxRef.current.getImageData(startX, startY, endX - startX, endY - startY).data;
+      
+      for (let y = startY; y < endY; y++) {
+        const tileY = Math.floor(y / tileSize);
+        for (let x = startX; x < endX; x++) {
+          const index = (y - templateY) * width + (x - templateX);
+          const templateIndex = index * 4;
+          if (imageData.data[templateIndex + 3] < 128) continue;
+          
+          // 0 unchecked, 1 matching, 2 differing
+          let state = 0;
+          const tileKey = `${Math.floor(x / tileSize)}:${tileY}`;
+          if (loaded.get(tileKey) === 1 && subscribed.has(`tile:${tileKey}`)) {
+            const canvasIndex = ((y - startY) * (endX - startX) + (x - startX)) * 4;
+            state = canvasPixels[canvasIndex] !== imageData.data[templateIndex] ||
+              canvasPixels[canvasIndex + 1] !== imageData.data[templateIndex + 1] ||
+              canvasPixels[canvasIndex + 2] !== imageData.data[templateIndex + 2] ? 2 : 1;
+          }
+          
+          const previous = mismatches.states[index];
+          if (state === previous) continue;
+          
+          mismatches.checked += (state > 0) - (previous > 0);
+          mismatches.differ += (state === 2) - (previous === 2);
+          mismatches.states[index] = state;
+          mismatches.mask.data.set(state === 2 ? [...MISMATCH_COLOR, 255] : [0, 0, 0, 0], templateIndex);
+        }
+      }
+      
+      mismatches.maskCtx.putImageData(
+        mismatches.mask, 0, 0,
+        startX - templateX, startY - templateY, endX - startX, endY - startY
+      );
+    });
+    
+    mismatchesRef.current = { ...mismatches, stale: false, changed: [] };
+    if (full || mismatches.checked !== before.checked || mismatches.differ !== before.differ) {
+      setTemplateMismatches({ checked: mismatches.checked, differ: mismatches.differ });
+    }
+  }, [template, templateX, templateY]);
+  
+  // The template goes over the canvas, translucent, and in mismatch mode
+  // the pixels that differ from it on top in full color
+  const drawTemplate = useCallback((ctx) => {
+    ctx.save();
+    ctx.translate(offset.x, offset.y);
+    ctx.scale(scale, scale);
+    
+    ctx.globalAlpha = template.opacity;
+    ctx.drawImage(templateImage, templateX, templateY);
+    ctx.globalAlpha = 1;
+    
+    if (template.showMismatches && !templatePlacing) {
+      const mismatches = mismatchesRef.current;
+      if (mismatches.stale || mismatches.changed.length > 0 || mismatches.template !== template ||
+          mismatches.x !== templateX || mismatches.y !== templateY) {
+        findMismatches();
+      }
+      ctx.drawImage(mismatchesRef.current.maskImage, templateX, templateY);
+    }
+    
+    ctx.strokeStyle = 'rgba(0, 160, 255, 0.8)';
+    ctx.lineWidth = 1 / scale;
+    ctx.strokeRect(templateX, templateY, template.width, template.height);
+    
+    ctx.restore();
+  }, [offset, scale, template, templateImage, templateX, templateY, templatePlacing, findMismatches]);
+  
+  // Mismatches are only counted while they are shown
+  const showingMismatches = Boolean(template && template.showMismatches && !templatePlacing);
+  useEffect(() => {
+    if (!showingMismatches) {
+      setTemplateMismatches(null);
+    }
+  }, [showingMismatches]);
+  
   const requestRedraw = useCallback(() => {
     const canvas = canvasRef.current;
     const container = containerRef.current;
@@ -176,8 +628,10 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
     const viewWidth = rect.width / scale;
     const viewHeight = rect.height / scale;
     
-    // Request tiles for visible area
-    requestTiles(viewX, viewY, viewWidth, viewHeight);
+    // Subscribe before fetching so no update slips in between
+    const visibleTileIds = getVisibleTileIds(viewX, viewY, viewWidth, viewHeight);
+    updateSubscriptions(visibleTileIds);
+    requestTiles(visibleTileIds, pickTileLevel(scale, canvasInfo.overviewLevels));
     
     // Draw the offscreen canvas
     ctx.save();
@@ -187,8 +641,8 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
     // Only draw visible portion
     const sourceX = Math.max(0, viewX);
     const sourceY = Math.max(0, viewY);
-    const sourceWidth = Math.min(CANVAS_WIDTH - sourceX, viewWidth);
-    const sourceHeight = Math.min(CANVAS_HEIGHT - sourceY, viewHeight);
+    const sourceWidth = Math.min(canvasInfo.canvasWidth - sourceX, viewWidth);
+    const sourceHeight = Math.min(canvasInfo.canvasHeight - sourceY, viewHeight);
     
     if (sourceWidth > 0 && sourceHeight > 0) {
       ctx.drawImage(
@@ -200,6 +654,11 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
     
     ctx.restore();
     
+    // Draw the reference template, which places nothing
+    if (template && templateImage) {
+      drawTemplate(ctx);
+    }
+    
     // Draw grid at high zoom levels
     if (scale >= 4) {
       drawGrid(ctx, rect.width, rect.height);
@@ -209,7 +668,7 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
     if (imageMode && pendingImage) {
       drawImagePreview(ctx, rect.width, rect.height);
     }
-  }, [scale, offset, requestTiles, imageMode, pendingImage]);
+  }, [scale, offset, canvasInfo, getVisibleTileIds, updateSubscriptions, requestTiles, imageMode, pendingImage, template, templateImage, drawTemplate]);
 
   // Update the ref whenever requestRedraw changes
   useEffect(() => {
@@ -332,6 +791,18 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
     setDragStart({ x: x - offset.x, y: y - offset.y });
   }, [offset, rateLimited]);
 
+  // Ask who placed the hovered pixel once the mouse settles on it
+  const scheduleInspect = useCallback((x, y) => {
+    clearTimeout(inspectTimeoutRef.current);
+    inspectTimeoutRef.current = setTimeout(() => {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: 'inspect_pixel', x, y }));
+      }
+    }, INSPECT_DELAY_MS);
+  }, [ws]);
+
+  useEffect(() => () => clearTimeout(inspectTimeoutRef.current), []);
+
   const handleMouseMove = useCallback((e) => {
     const rect = containerRef.current.getBoundingClientRect();
     const x = e.clientX - rect.left;
@@ -347,15 +818,19 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
         x: x - dragStart.x,
         y: y - dragStart.y
       });
+    } else if ((canvasX !== mousePos.x || canvasY !== mousePos.y) &&
+               canvasX >= 0 && canvasX < canvasInfo.canvasWidth &&
+               canvasY >= 0 && canvasY < canvasInfo.canvasHeight) {
+      scheduleInspect(canvasX, canvasY);
     }
-  }, [isDragging, dragStart, offset, scale, rateLimited]);
+  }, [isDragging, dragStart, offset, scale, rateLimited, mousePos, canvasInfo, scheduleInspect]);
 
   const handleMouseUp = useCallback(() => {
     setIsDragging(false);
   }, []);
 
   const handleClick = useCallback((e) => {
-    if (isDragging || rateLimited) return;
+    if (isDragging) return;
     
     const rect = containerRef.current.getBoundingClientRect();
     const x = e.clientX - rect.left;
@@ -364,14 +839,23 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
     const canvasX = Math.floor((-offset.x + x) / scale);
     const canvasY = Math.floor((-offset.y + y) / scale);
     
-    if (canvasX >= 0 && canvasX < CANVAS_WIDTH && canvasY >= 0 && canvasY < CANVAS_HEIGHT) {
+    // Pinning the template places nothing, so needs no budget. It may hang
+    // over the canvas' edges.
+    if (templatePlacing && onTemplatePlace) {
+      onTemplatePlace(canvasX, canvasY);
+      return;
+    }
+    
+    if (rateLimited) return;
+    
+    if (canvasX >= 0 && canvasX < canvasInfo.canvasWidth && canvasY >= 0 && canvasY < canvasInfo.canvasHeight) {
       if (imageMode && onImagePlace) {
         onImagePlace(canvasX, canvasY);
       } else {
         onPixelPlace(canvasX, canvasY, selectedColor);
       }
     }
-  }, [isDragging, offset, scale, selectedColor, onPixelPlace, rateLimited, imageMode, onImagePlace]);
+  }, [isDragging, offset, scale, canvasInfo, selectedColor, onPixelPlace, rateLimited, imageMode, onImagePlace, templatePlacing, onTemplatePlace]);
 
 
   return (
@@ -389,7 +873,23 @@ function Canvas({ ws, selectedColor, onPixelPlace, rateLimited, imageMode, pendi
       <div className="canvas-overlay">
         <div>Position: ({mousePos.x}, {mousePos.y})</div>
         <div>Zoom: {(scale * 100).toFixed(0)}%</div>
-        <div>Tiles loaded: {loadedTiles.size}</div>
+        <div>Tiles loaded: {loadedTileCount}</div>
+        {showingMismatches && templateMismatches && (
+          <div className="template-mismatches">
+            {templateMismatches.checked === 0
+              ? 'Template: zoom in to compare'
+              : `Template: ${templateMismatches.differ.toLocaleString()} of ${templateMismatches.checked.toLocaleString()} pixels differ`}
+            {templateMismatches.checked > 0 && templateMismatches.checked < template.pixelCount &&
+              ' (in view)'}
+          </div>
+        )}
+        {pixelInfo && pixelInfo.x === mousePos.x && pixelInfo.y === mousePos.y && (
+          <div className="pixel-info">
+            {pixelInfo.placedBy
+              ? `Placed by ${pixelInfo.user || pixelInfo.placedBy.slice(0, 8)} at ${new Date(pixelInfo.timestamp).toLocaleString()}`
+              : 'Never placed'}
+          </div>
+        )}
       </div>
     </div>
   );
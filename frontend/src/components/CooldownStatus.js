@@ -0,0 +1,45 @@
+import React, { useEffect, useState } from 'react';
+
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Remaining pixel budget and a live countdown to the next allowed placement
+function CooldownStatus({ cooldown }) {
+  const [now, setNow] = useState(Date.now());
+  const waiting = cooldown.remaining === 0 && cooldown.readyAt > now;
+
+  // `now` stops ticking between cooldowns, so catch it up when a new one comes
+  useEffect(() => {
+    setNow(Date.now());
+  }, [cooldown.readyAt]);
+
+  useEffect(() => {
+    if (!waiting) return;
+    
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [waiting]);
+
+  if (waiting) {
+    return (
+      <div className="cooldown-status rate-limit-warning">
+        Next pixel in {formatWait(cooldown.readyAt - now)}
+      </div>
+    );
+  }
+
+  return (
+    <div className="cooldown-status">
+      {cooldown.remaining > 0
+        ? `${cooldown.remaining.toLocaleString()} ${cooldown.remaining === 1 ? 'pixel' : 'pixels'} left`
+        : 'Ready to place'}
+    </div>
+  );
+}
+
+export default CooldownStatus;
@@ -1,9 +1,18 @@
 import React, { useState, useRef } from 'react';
 
+// Drawing orders the server knows (see backend/pixel-order.js)
+const PIXEL_ORDERS = [
+  { value: 'row', label: 'Row by row' },
+  { value: 'random', label: 'Random scatter' },
+  { value: 'spiral', label: 'Spiral from the center' },
+  { value: 'edges', label: 'Edges first' }
+];
+
 function ImageUpload({ onImageProcessed, onCancel }) {
   const [previewImage, setPreviewImage] = useState(null);
   const [processedPixels, setProcessedPixels] = useState(null);
   const [imageSize, setImageSize] = useState({ width: 0, height: 0 });
+  const [order, setOrder] = useState('random');
   const fileInputRef = useRef(null);
 
   const processImage = (file) => {
@@ -104,7 +113,7 @@ function ImageUpload({ onImageProcessed, onCancel }) {
 
   const handlePlaceImage = () => {
     if (processedPixels && onImageProcessed) {
-      onImageProcessed(processedPixels, imageSize);
+      onImageProcessed(processedPixels, imageSize, order);
     }
   };
 
@@ -153,6 +162,19 @@ function ImageUpload({ onImageProcessed, onCancel }) {
                 <p>Pixels to place: {processedPixels?.length || 0}</p>
               </div>
 
+              <div className="image-order">
+                <label htmlFor="image-order-select">Drawing order</label>
+                <select
+                  id="image-order-select"
+                  value={order}
+                  onChange={(e) => setOrder(e.target.value)}
+                >
+                  {PIXEL_ORDERS.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
               <div className="preview-instructions">
                 <p>Click on the canvas to choose where to place the top-left corner of your image.</p>
               </div>
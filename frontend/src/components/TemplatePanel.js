@@ -0,0 +1,196 @@
+import React, { useRef, useState } from 'react';
+import { readTemplateFile, getTemplateLink } from '../templates';
+
+const RECENT_DAMAGE_SHOWN = 5;
+const MISMATCHES_SHOWN = 5;
+
+// A reference image shown over the canvas to draw along with. It only
+// changes what this client sees; nothing gets placed. Shared templates live
+// on the server, stay where they were pinned and report their completion.
+function TemplatePanel({ template, placing, progress, onChange, onPlace, onShare, onClear }) {
+  const fileInputRef = useRef(null);
+  const [sharing, setSharing] = useState(false);
+  const shared = Boolean(template && template.id);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      alert('Please select a valid image file');
+      return;
+    }
+
+    try {
+      const loaded = await readTemplateFile(file);
+      onChange({
+        x: 0,
+        y: 0,
+        opacity: 0.5,
+        showMismatches: false,
+        // Keep the position and settings of the template this one replaces
+        ...(template && {
+          x: template.x,
+          y: template.y,
+          opacity: template.opacity,
+          showMismatches: template.showMismatches
+        }),
+        ...loaded
+      });
+      if (!template) {
+        onPlace();
+      }
+    } catch (error) {
+      console.error('Error loading template:', error);
+      alert(error.message);
+    }
+  };
+
+  const setPosition = (axis, value) => {
+    const position = parseInt(value, 10);
+    if (Number.isInteger(position)) {
+      onChange({ ...template, [axis]: position });
+    }
+  };
+
+  const handleShare = async () => {
+    setSharing(true);
+    try {
+      await onShare();
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  return (
+    <div className="template-panel">
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*"
+        onChange={handleFileChange}
+        style={{ display: 'none' }}
+      />
+      <button className="tool-button" onClick={() => fileInputRef.current.click()}>
+        🖼 {template ? 'Change Template' : 'Load Template'}
+      </button>
+
+      {template && (
+        <>
+          <div className="template-name">
+            {template.name} ({template.width}x{template.height})
+          </div>
+
+          <div className="template-position">
+            <label>
+              X
+              <input
+                type="number"
+                value={template.x}
+                disabled={shared}
+                onChange={(e) => setPosition('x', e.target.value)}
+              />
+            </label>
+            <label>
+              Y
+              <input
+                type="number"
+                value={template.y}
+                disabled={shared}
+                onChange={(e) => setPosition('y', e.target.value)}
+              />
+            </label>
+          </div>
+
+          {!shared && (placing ? (
+            <div className="image-mode-info">Click the canvas to pin the template</div>
+          ) : (
+            <button className="tool-button" onClick={onPlace}>
+              Move with Mouse
+            </button>
+          ))}
+
+          <label className="template-option">
+            Opacity
+            <input
+              type="range"
+              min="0.1"
+              max="1"
+              step="0.05"
+              value={template.opacity}
+              onChange={(e) => onChange({ ...template, opacity: Number(e.target.value) })}
+            />
+          </label>
+
+          <label className="template-option">
+            <input
+              type="checkbox"
+              checked={template.showMismatches}
+              onChange={(e) => onChange({ ...template, showMismatches: e.target.checked })}
+            />
+            Show mismatches
+          </label>
+
+          {shared ? (
+            <div className="template-shared">
+              <input
+                type="text"
+                readOnly
+                value={getTemplateLink(template.id)}
+                onFocus={(e) => e.target.select()}
+              />
+              <button
+                className="tool-button"
+                onClick={() => navigator.clipboard.writeText(getTemplateLink(template.id))}
+              >
+                Copy Link
+              </button>
+            </div>
+          ) : (
+            <button className="tool-button" onClick={handleShare} disabled={sharing || placing}>
+              {sharing ? 'Sharing...' : 'Share Template'}
+            </button>
+          )}
+
+          {shared && progress && (
+            <div className="template-progress">
+              <div>
+                {progress.completion}% done ({progress.correct.toLocaleString()}/{progress.total.toLocaleString()} pixels)
+              </div>
+              <div className="progress-bar">
+                <div className="progress-fill" style={{ width: `${progress.completion}%` }}></div>
+              </div>
+              {progress.mismatched.length > 0 && (
+                <div className="template-damage">
+                  <div>Still to fix ({(progress.total - progress.correct).toLocaleString()}):</div>
+                  {progress.mismatched.slice(0, MISMATCHES_SHOWN).map(({ x, y, expected }) => (
+                    <div key={`${x}:${y}`}>
+                      ({x}, {y}) should be {expected}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {progress.damaged.length > 0 && (
+                <div className="template-damage">
+                  <div>Recently damaged:</div>
+                  {progress.damaged.slice(0, RECENT_DAMAGE_SHOWN).map(({ x, y, user }) => (
+                    <div key={`${x}:${y}`}>
+                      ({x}, {y}){user && ` by ${user}`}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <button className="tool-button cancel-image-button" onClick={onClear}>
+            Remove Template
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TemplatePanel;
@@ -0,0 +1,4 @@
+// Server endpoints. The HTTP API is served from the same host and port as
+// the WebSocket unless REACT_APP_HTTP_URL says otherwise.
+export const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:9001';
+export const HTTP_URL = process.env.REACT_APP_HTTP_URL || WS_URL.replace(/^ws/, 'http');
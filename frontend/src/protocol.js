@@ -0,0 +1,146 @@
+// Client side of the binary WebSocket protocol (see backend/protocol.js for
+// the frame layout). Decoded frames come out in the same shape as their JSON
+// counterparts so the rest of the app doesn't care which one it got.
+
+export const PROTOCOL_VERSION = 6;
+
+const OP_PIXEL_UPDATES = 0x01;
+const OP_TILES = 0x02;
+
+const TILE_FORMAT_RGBA = 0;
+const TILE_FORMAT_INDEXED = 1;
+
+const NO_USER = 0xffff;
+
+const textDecoder = new TextDecoder();
+
+export function createHello() {
+  return {
+    type: 'hello',
+    protocols: ['binary', 'json'],
+    version: PROTOCOL_VERSION
+  };
+}
+
+const toHex = (value) => value.toString(16).padStart(2, '0');
+
+function decodePixelUpdates(view) {
+  const seq = view.getFloat64(1);
+  const userCount = view.getUint16(9);
+  const users = new Array(userCount);
+  let offset = 11;
+
+  for (let i = 0; i < userCount; i++) {
+    const length = view.getUint16(offset);
+    users[i] = textDecoder.decode(new Uint8Array(view.buffer, offset + 2, length));
+    offset += 2 + length;
+  }
+
+  const count = view.getUint32(offset);
+  const updates = new Array(count);
+  offset += 4;
+
+  for (let i = 0; i < count; i++) {
+    updates[i] = {
+      x: view.getUint16(offset),
+      y: view.getUint16(offset + 2),
+      color: `#${toHex(view.getUint8(offset + 4))}${toHex(view.getUint8(offset + 5))}${toHex(view.getUint8(offset + 6))}`
+    };
+    const user = view.getUint16(offset + 7);
+    if (user !== NO_USER) {
+      updates[i].user = users[user];
+    }
+    offset += 9;
+  }
+
+  return { type: 'pixel_updates', seq, updates };
+}
+
+function expandIndexed(bytes, offset, length) {
+  const paletteSize = (bytes[offset] << 8) | bytes[offset + 1];
+  const paletteStart = offset + 2;
+  const indicesStart = paletteStart + paletteSize * 3;
+  const pixelCount = length - 2 - paletteSize * 3;
+  const pixels = new Uint8ClampedArray(pixelCount * 4);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const entry = paletteStart + bytes[indicesStart + i] * 3;
+    pixels[i * 4] = bytes[entry];
+    pixels[i * 4 + 1] = bytes[entry + 1];
+    pixels[i * 4 + 2] = bytes[entry + 2];
+    pixels[i * 4 + 3] = 255;
+  }
+
+  return pixels;
+}
+
+function decodeTiles(view) {
+  const bytes = new Uint8Array(view.buffer);
+  const level = view.getUint8(1);
+  const count = view.getUint16(2);
+  const tiles = [];
+  let offset = 4;
+
+  for (let i = 0; i < count; i++) {
+    const tileX = view.getUint16(offset);
+    const tileY = view.getUint16(offset + 2);
+    const version = view.getUint32(offset + 4);
+    const format = view.getUint8(offset + 8);
+    const length = view.getUint32(offset + 9);
+    const bodyStart = offset + 13;
+
+    let pixels;
+    if (format === TILE_FORMAT_INDEXED) {
+      pixels = expandIndexed(bytes, bodyStart, length);
+    } else if (format === TILE_FORMAT_RGBA) {
+      pixels = new Uint8ClampedArray(view.buffer.slice(bodyStart, bodyStart + length));
+    }
+
+    if (pixels) {
+      tiles.push({ tileX, tileY, version, pixels });
+    } else {
+      console.warn('Unknown tile format:', format);
+    }
+    offset = bodyStart + length;
+  }
+
+  return { type: 'tiles', level, tiles };
+}
+
+function decodeFrame(buffer) {
+  const view = new DataView(buffer);
+  switch (view.getUint8(0)) {
+    case OP_PIXEL_UPDATES:
+      return decodePixelUpdates(view);
+    case OP_TILES:
+      return decodeTiles(view);
+    default:
+      return { type: 'unknown_frame', opcode: view.getUint8(0) };
+  }
+}
+
+// Several listeners share the same socket, so remember what each binary
+// frame decoded to instead of doing the work once per listener.
+const decodedFrames = new WeakMap();
+
+export function decodeMessage(data) {
+  if (typeof data === 'string') {
+    return JSON.parse(data);
+  }
+
+  let message = decodedFrames.get(data);
+  if (!message) {
+    message = decodeFrame(data);
+    decodedFrames.set(data, message);
+  }
+  return message;
+}
+
+export function base64ToBytes(data) {
+  const binary = atob(data);
+  const bytes = new Uint8ClampedArray(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
@@ -0,0 +1,100 @@
+// Loading reference templates, from a local file or from the server, and
+// sharing them (see backend/template-store.js).
+
+import { HTTP_URL } from './config';
+
+export const MAX_TEMPLATE_SIZE = 1000; // Pixels per side, same as the server
+
+// Reads an image at its own size, one template pixel per canvas pixel.
+// Resolves to { width, height, imageData, pixelCount }.
+export function readTemplateImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => {
+      const { width, height } = img;
+      if (width > MAX_TEMPLATE_SIZE || height > MAX_TEMPLATE_SIZE) {
+        reject(new Error(`Templates can be at most ${MAX_TEMPLATE_SIZE}x${MAX_TEMPLATE_SIZE} pixels`));
+        return;
+      }
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(img, 0, 0);
+      const imageData = ctx.getImageData(0, 0, width, height);
+
+      // Transparent pixels are no part of the artwork, as when placing images
+      let pixelCount = 0;
+      for (let i = 3; i < imageData.data.length; i += 4) {
+        if (imageData.data[i] >= 128) pixelCount++;
+      }
+
+      resolve({ width, height, imageData, pixelCount });
+    };
+    img.onerror = () => reject(new Error('Failed to load image. Please try a different file.'));
+    img.src = src;
+  });
+}
+
+export async function readTemplateFile(file) {
+  const src = URL.createObjectURL(file);
+  try {
+    return { name: file.name, ...(await readTemplateImage(src)) };
+  } finally {
+    URL.revokeObjectURL(src);
+  }
+}
+
+// A shared template, pinned where its creator put it
+export async function fetchSharedTemplate(id) {
+  const response = await fetch(`${HTTP_URL}/api/templates/${encodeURIComponent(id)}`);
+  if (!response.ok) {
+    throw new Error(response.status === 404 ? 'Template not found' : 'Failed to load template');
+  }
+  const info = await response.json();
+  const image = await readTemplateImage(`${HTTP_URL}/api/templates/${encodeURIComponent(id)}/image.png`);
+
+  return { ...info, ...image };
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Store a template on the server at its current position. Resolves to the
+// shared template's info, including its id.
+export async function shareTemplate(template, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${HTTP_URL}/api/templates`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      name: template.name.slice(0, 100),
+      x: template.x,
+      y: template.y,
+      width: template.width,
+      height: template.height,
+      pixels: bytesToBase64(template.imageData.data)
+    })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to share template');
+  }
+  return data;
+}
+
+// Link that opens the app with a shared template loaded
+export function getTemplateLink(id) {
+  return `${window.location.origin}${window.location.pathname}?template=${encodeURIComponent(id)}`;
+}